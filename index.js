@@ -3,15 +3,34 @@
 var net = require('net'),
     events = require('events'),
     ResponseParser = require('./lib/responseParser').ResponseParser,
+    MockBloomdServer = require('./lib/mockBloomdServer').MockBloomdServer,
+    BloomCluster = require('./lib/bloomCluster').BloomCluster,
+    promise = require('./lib/promise'),
+    retryStrategies = require('./lib/retryStrategies'),
+    keyEncodings = require('./lib/keyEncodings'),
+    streams = require('./lib/streams'),
+    CheckCache = require('./lib/checkCache').CheckCache,
+    CommandStats = require('./lib/commandStats').CommandStats,
+    loggers = require('./lib/loggers'),
+    errors = require('./lib/errors'),
+    validation = require('./lib/validation'),
+    Filter = require('./lib/filter').Filter,
+    RotatingFilter = require('./lib/rotatingFilter').RotatingFilter,
+    ScalingFilter = require('./lib/scalingFilter').ScalingFilter,
     responseTypes = ResponseParser.responseTypes,
     util = require('util'),
     defaultPort = 8673,
     defaultHost = '127.0.0.1'
 
+/**
+ * The fraction of a bounded queue's limit at which 'queueHigh' is emitted.
+ */
+var QUEUE_HIGH_FRACTION = 0.8
+
 /**
  * A client for BloomD (https://github.com/armon/bloomd)
  *
- * Requires Node 0.10's stream transformations.
+ * Requires Node 10 or later, for its streams and Promises.
  *
  * Opens a single stream and continually writes data to it, offloading the
  * resulting data to a parser and then applying a queued callback to the response.
@@ -25,24 +44,52 @@ var net = require('net'),
  * More info here: http://en.wikipedia.org/wiki/Bloom_filter
  *
  * TODO(jamie)
- *  + Handle list with prefix after safe commands.
- *  + Safe creation after dropping
- *  + Mock service for better testing.
  *  ? StreamNoDelay configuration
  *
  * Options are:
  *
- * debug                 [false] Emit debug information
+ * debug                 [false] Log to the console, when there is no logger.
+ * logger                [null]  An object with debug, info, warn and error methods, which is called
+ *                                 with a message and structured fields. See lib/loggers.js.
  * maxConnectionAttempts [0]     The number of times to try reconnecting. 0 for infinite.
  * reconnectDelay        [160]   The additional time in ms between each reconnect retry.
+ * retryStrategy         [null]  A function deciding the delay before each reconnect retry, or whether
+ *                                 to give up. Overrides reconnectDelay. See lib/retryStrategies.js.
+ * connectTimeout        [0]     The total time in ms to spend trying to connect or reconnect, after
+ *                                 which the service is marked as unavailable. 0 for infinite.
  * maxErrors             [0]     The number of internal errors received from bloomd after which time
  *                                 the service is marked as unavailable. 0 for infinite.
+ * commandTimeout        [0]     The time in ms to wait for a response to a sent command before
+ *                                 failing it and resetting the connection. 0 for no timeout.
+ * maxCreateRetries      [5]     The number of times to retry creating a filter while bloomd is still
+ *                                 deleting one of the same name. 0 to not retry.
+ * createRetryDelay      [100]   The additional time in ms between each retry of a create.
+ * keyEncoding           ['none'] How keys are encoded before being sent: 'none', 'reject', 'percent',
+ *                                 'base64', 'hash' or a function. See lib/keyEncodings.js.
+ * batchSize             [10000] The most keys to send in a single bulk or multi command. Larger
+ *                                 calls are split into batches. 0 for no limit.
+ * cacheSize             [0]     The most keys known to be in filters to cache, so that checks for
+ *                                 them are answered without asking bloomd. 0 for no cache.
+ * cacheTtl              [0]     The time in ms for which a cached key is trusted. 0 for no limit.
+ * maxOfflineQueue       [0]     The most commands to hold while waiting to send them. 0 for no limit.
+ * maxFilterQueue        [0]     The most commands to hold for each filter while it is created.
+ *                                 0 for no limit.
+ * queueOverflow         ['rejectNewest'] What to do with commands when a queue is full: 'rejectNewest'
+ *                                 fails the new command, 'dropOldest' fails the oldest held command to
+ *                                 make room, and 'failFast' also fails every command issued after the
+ *                                 connection is lost, until it is restored.
+ * statsSampleSize       [1000]  The number of recent round trip times of each command to calculate
+ *                                 latency percentiles from. See getStats().
+ * namespace             ['']    A prefix added to every filter name sent to bloomd, so that clients
+ *                                 sharing a server keep their filters apart. Names passed to and from
+ *                                 the client never include it, and list only returns filters within it.
  *
  * @param {Object} stream
  * @param {Object} options
  */
 function BloomClient(stream, options) {
   this.options = options
+  this.logger = loggers.getLogger(options)
   this.responseParser = null
 
   // Connection handling
@@ -51,28 +98,61 @@ function BloomClient(stream, options) {
   this.connectionAttempts = 1
   this.maxConnectionAttempts = options.maxConnectionAttempts || 0
   this.reconnectDelay = options.reconnectDelay || 160
+  this.retryStrategy = options.retryStrategy || retryStrategies.cappedLinear({delay: this.reconnectDelay})
+  this.lastReconnectDelay = 0
+  this.lastError = null
   this.reconnector = null
+  this.connectTimeout = options.connectTimeout || 0
+  this.connectTimer = null
+  this.connectionLost = null
+  this.totalReconnectionTime = 0
 
   // Queue handling
   this.unavailable = false
   this.buffering = true
   this.commandQueue = []
   this.offlineQueue = []
+  this.splitCommand = null
   this.commandsSent = 0
   this.filterQueues = {}
+  this.maxOfflineQueue = options.maxOfflineQueue || 0
+  this.maxFilterQueue = options.maxFilterQueue || 0
+  this.queueOverflow = options.queueOverflow || 'rejectNewest'
+  this.disconnected = false
+
+  // Timeout handling
+  this.commandTimeout = options.commandTimeout || 0
+  this.timeoutOverride = null
+
+  // Filter naming
+  this.namespace = options.namespace || ''
+
+  // Key handling
+  this.keyEncoding = keyEncodings.getKeyEncoding(options.keyEncoding)
+  this.batchSize = (options.batchSize === undefined) ? 10000 : options.batchSize
+  this.cache = options.cacheSize ? new CheckCache({size: options.cacheSize, ttl: options.cacheTtl}) : null
+
+  // Creation handling
+  this.maxCreateRetries = (options.maxCreateRetries === undefined) ? 5 : options.maxCreateRetries
+  this.createRetryDelay = options.createRetryDelay || 100
+  this.createRetries = []
 
   // Error handling
   this.maxErrors = options.maxErrors || 0
   this.errors = 0
 
+  // Instrumentation
+  this.stats = new CommandStats(options.statsSampleSize)
+
   var self = this
 
   stream.on('connect', function() {
     self._onConnect()
   })
 
-  stream.on('error', function(message) {
-    self._onError(message.message)
+  stream.on('error', function(error) {
+    self.lastError = error
+    self._onError(error.message)
   })
 
   stream.on('close', function() {
@@ -89,6 +169,8 @@ function BloomClient(stream, options) {
 
   events.EventEmitter.call(this)
 
+  // The initial connection is subject to the same time limit as reconnections.
+  this._startConnectTimer()
 }
 util.inherits(BloomClient, events.EventEmitter)
 
@@ -125,16 +207,88 @@ BloomClient.prototype.reconnect = function() {
   // Reset the critical data.
   this.unavailable = false
   this.totalReconnectionTime = 0
-  this.connectionAttempts = 0
+  this.connectionAttempts = 1
+  this.lastReconnectDelay = 0
   this.errors = 0
+  this._startConnectTimer()
   this._reconnect()
 }
 
+/**
+ * Returns an object with the same commands as the client, whose commands time out
+ * after the specified number of ms instead of the client's commandTimeout.
+ * A timeout of 0 disables the timeout.
+ *
+ * client.withTimeout(50).check('filter', 'key', callback)
+ *
+ * @param {number} timeout
+ * @return {Object}
+ */
+BloomClient.prototype.withTimeout = function (timeout) {
+  var self = this
+  var commands = {}
+  _commandNames.forEach(function (commandName) {
+    commands[commandName] = function () {
+      var args = arguments
+      return self._withTimeoutOverride(timeout, function () {
+        return self[commandName].apply(self, args)
+      })
+    }
+  })
+  return commands
+}
+
+/**
+ * Returns the number of commands awaiting responses (sent), waiting to be sent (offline),
+ * and held until safe commands have created their filters (filter).
+ *
+ * @return {Object}
+ */
+BloomClient.prototype.getQueueDepths = function () {
+  var filter = 0
+  for (var filterName in this.filterQueues) {
+    filter += this.filterQueues[filterName].length
+  }
+  return {
+    sent: this.commandQueue.length,
+    offline: this.offlineQueue.length,
+    filter: filter
+  }
+}
+
+/**
+ * Returns a snapshot of the client's activity:
+ *
+ * commandsSent The number of commands written to bloomd.
+ * queues       The current queue depths. See getQueueDepths().
+ * commands     For each command name, the count, the number of errors, the count of each outcome,
+ *                and the 50th, 90th and 99th percentile and maximum round trip times in ms.
+ *
+ * @return {Object}
+ */
+BloomClient.prototype.getStats = function () {
+  return {
+    commandsSent: this.commandsSent,
+    queues: this.getQueueDepths(),
+    commands: this.stats.getStats()
+  }
+}
+
+/**
+ * Returns the cache's hits, misses and size, or null if the client has no cache.
+ *
+ * @return {Object}
+ */
+BloomClient.prototype.getCacheStats = function () {
+  return this.cache ? this.cache.getStats() : null
+}
+
 /**
  * Closes the connection to BloomD
  */
 BloomClient.prototype.dispose = function () {
   this.disposed = true
+  this._cancelCreateRetries()
   this.stream.end()
 }
 
@@ -153,33 +307,44 @@ BloomClient.prototype.dispose = function () {
  *
  * The data passed back to the callback will be true on success, null otherwise.
  *
+ * Unknown options, or values bloomd would refuse, fail with a ValidationError without being sent.
+ *
+ * If bloomd is still deleting a filter of the same name, the creation is retried
+ * with back-off, up to maxCreateRetries times. Until it completes, subsequent commands
+ * for the filter are held, so that they run after the filter has been created.
+ *
  * @param {string} filterName
  * @param {Object} options
  * @param {Function} callback
  */
 BloomClient.prototype.create = function (filterName, options, callback) {
-  var self = this
   var args = [filterName]
+  var optionsError = validation.createOptionsError(options)
   options = options || {}
   for (var key in options) {
     args.push(key + '=' + options[key])
   }
-  this._process('create', filterName, args, responseTypes.CREATE_CONFIRMATION, function (error, data) {
 
-    // First, run the callback.
-    if (callback) {
-      callback.call(callback, error, data)
-    }
+  if (optionsError) {
+    var command = this._buildCommand('create', filterName, args, responseTypes.CREATE_CONFIRMATION, callback)
+    command.validationError = command.validationError || optionsError
+    this._handle(command)
+    return
+  }
 
-    // Then, clear the filter queue if we have one.
-    self._clearFilterQueue(filterName)
-  })
+  // Hold subsequent commands for this filter until it has been created, as the creation
+  // may be retried while bloomd deletes a filter of the same name.
+  if (!this.filterQueues[filterName]) {
+    this.filterQueues[filterName] = []
+  }
+  this._create(filterName, args, 0, this.timeoutOverride, callback)
 }
 
 /**
  * Lists filters matching the specified optional prefix.
  *
- * If no prefix is specified, all filters are returned.
+ * If no prefix is specified, all filters are returned. If the client has a namespace,
+ * only filters within it are returned, and their names are without it.
  *
  * The data passed back to the callback will be an array of BloomFilter objects.
  *
@@ -187,8 +352,10 @@ BloomClient.prototype.create = function (filterName, options, callback) {
  * @param {Function} callback
  */
 BloomClient.prototype.list = function (prefix, callback) {
-  var args = prefix ? [prefix] : []
-  this._process('list', null, args, responseTypes.FILTER_LIST, callback)
+  var args = (this.namespace || prefix) ? [this.namespace + (prefix || '')] : []
+  var command = this._buildCommand('list', null, args, responseTypes.FILTER_LIST, callback)
+  command.prefix = prefix || ''
+  this._handle(command)
 }
 
 /**
@@ -200,7 +367,7 @@ BloomClient.prototype.list = function (prefix, callback) {
  * @param {Function} callback
  */
 BloomClient.prototype.drop = function (filterName, callback) {
-  this._process('drop', filterName, [filterName], responseTypes.DROP_CONFIRMATION, callback)
+  this._process('drop', filterName, [filterName], responseTypes.DROP_CONFIRMATION, this._invalidatingCallback(filterName, callback))
 }
 
 /**
@@ -210,7 +377,7 @@ BloomClient.prototype.drop = function (filterName, callback) {
  * @param {Function} callback
  */
 BloomClient.prototype.close = function (filterName, callback) {
-  this._process('close', filterName, [filterName], responseTypes.CONFIRMATION, callback)
+  this._process('close', filterName, [filterName], responseTypes.CONFIRMATION, this._invalidatingCallback(filterName, callback))
 }
 
 /**
@@ -220,7 +387,7 @@ BloomClient.prototype.close = function (filterName, callback) {
  * @param {Function} callback
  */
 BloomClient.prototype.clear = function (filterName, callback) {
-  this._process('clear', filterName, [filterName], responseTypes.CONFIRMATION, callback)
+  this._process('clear', filterName, [filterName], responseTypes.CONFIRMATION, this._invalidatingCallback(filterName, callback))
 }
 
 /**
@@ -229,6 +396,9 @@ BloomClient.prototype.clear = function (filterName, callback) {
  * The data passed back to the callback will be true if it is
  * in the filter or false, if it is not.
  *
+ * If the client has a cache, and the key is known to be in the filter, the callback
+ * is called without asking bloomd, before the callbacks of commands already sent.
+ *
  * @param {string} filterName
  * @param {string} key
  * @param {Function} callback
@@ -303,29 +473,25 @@ BloomClient.prototype.info = function (filterName, callback) {
  */
 BloomClient.prototype.flush = function (filterName, callback) {
   var args = filterName ? [filterName] : []
-  this._process('flush', filterName, args, responseTypes.CONFIRMATION, callback)
+  this._process('flush', filterName || null, args, responseTypes.CONFIRMATION, callback)
 }
 
 // 'Safe' Commands
 
 BloomClient.prototype._buildCheckCommand = function (filterName, key, callback) {
-  return this._buildCommand('check', filterName, [filterName, key], responseTypes.BOOL, callback)
+  return this._buildKeysCommand('check', filterName, [key], responseTypes.BOOL, callback)
 }
 
 BloomClient.prototype._buildMultiCommand = function (filterName, keys, callback) {
-  var args = keys.slice(0)
-  args.unshift(filterName)
-  return this._buildCommand('multi', filterName, args, responseTypes.BOOL_LIST, callback)
+  return this._buildKeysCommand('multi', filterName, keys, responseTypes.BOOL_LIST, callback)
 }
 
 BloomClient.prototype._buildSetCommand = function (filterName, key, callback) {
-  return this._buildCommand('set', filterName, [filterName, key], responseTypes.BOOL, callback)
+  return this._buildKeysCommand('set', filterName, [key], responseTypes.BOOL, callback)
 }
 
 BloomClient.prototype._buildBulkCommand = function (filterName, keys, callback) {
-  var args = keys.slice(0)
-  args.unshift(filterName)
-  return this._buildCommand('bulk', filterName, args, responseTypes.BOOL_LIST, callback)
+  return this._buildKeysCommand('bulk', filterName, keys, responseTypes.BOOL_LIST, callback)
 }
 
 
@@ -341,6 +507,27 @@ for (var i = 0, l = _safeCommands.length; i < l; i++) {
   BloomClient.prototype[commandName + 'Safe'] = _makeSafe(commandName)
 }
 
+/**
+ * Standard commands return a Promise when called without a callback.
+ * Maps each command to the position of its callback argument.
+ *
+ * @see promise.withPromises()
+ */
+var _callbackPositions = {
+  create: 2,
+  list: 1,
+  drop: 1,
+  close: 1,
+  clear: 1,
+  check: 2,
+  multi: 2,
+  set: 2,
+  bulk: 2,
+  info: 1,
+  flush: 1
+}
+promise.withPromises(BloomClient.prototype, _callbackPositions)
+
 // Extended Commands
 
 /**
@@ -363,6 +550,104 @@ BloomClient.prototype.bulkSetSafe = BloomClient.prototype.bulkSafe
 BloomClient.prototype.multiCheck = BloomClient.prototype.multi
 BloomClient.prototype.multiCheckSafe = BloomClient.prototype.multiSafe
 
+// Filter Handles
+
+/**
+ * Returns a handle on the named filter, whose commands don't take the filter name.
+ *
+ * client.filter('events', {capacity: 1000000}, {safe: true}).set('key', callback)
+ *
+ * @see Filter
+ *
+ * @param {string} filterName
+ * @param {Object} createOptions The options to create the filter with, for ensure() and safe commands.
+ * @param {Object} options
+ * @return {Filter}
+ */
+BloomClient.prototype.filter = function (filterName, createOptions, options) {
+  return new Filter(this, filterName, createOptions, options)
+}
+
+/**
+ * Returns a filter of the keys set in a recent period, made up of a filter for each window of time.
+ *
+ * @see RotatingFilter
+ *
+ * @param {string} name The prefix of the window filters' names.
+ * @param {Object} options
+ * @return {RotatingFilter}
+ */
+BloomClient.prototype.rotatingFilter = function (name, options) {
+  return new RotatingFilter(this, name, options)
+}
+
+/**
+ * Returns a filter which adds a new, larger generation whenever the newest fills up.
+ *
+ * @see ScalingFilter
+ *
+ * @param {string} name The name of the first generation's filter, and the prefix of the others.
+ * @param {Object} options
+ * @return {ScalingFilter}
+ */
+BloomClient.prototype.scalingFilter = function (name, options) {
+  return new ScalingFilter(this, name, options)
+}
+
+// Streams
+
+/**
+ * Returns a writable stream which sets each key written to it in the filter,
+ * in batches.
+ *
+ * @see SetStream
+ *
+ * @param {string} filterName
+ * @param {Object} options
+ * @return {SetStream}
+ */
+BloomClient.prototype.createSetStream = function (filterName, options) {
+  return new streams.SetStream(this, filterName, options)
+}
+
+/**
+ * Returns a transform stream which checks each key written to it against the
+ * filter, emitting {key, present} records in the order the keys were written.
+ *
+ * @see CheckStream
+ *
+ * @param {string} filterName
+ * @param {Object} options
+ * @return {CheckStream}
+ */
+BloomClient.prototype.createCheckStream = function (filterName, options) {
+  return new streams.CheckStream(this, filterName, options)
+}
+
+/**
+ * Returns a transform stream which passes on only those records whose key was
+ * newly set in the filter, dropping those already seen.
+ *
+ * @see DedupStream
+ *
+ * @param {string} filterName
+ * @param {Object} options
+ * @return {DedupStream}
+ */
+BloomClient.prototype.createDedupStream = function (filterName, options) {
+  return new streams.DedupStream(this, filterName, options)
+}
+
+/**
+ * The names of all the commands available on a client.
+ */
+var _commandNames = Object.keys(_callbackPositions).concat(
+  _safeCommands.map(function (commandName) {
+    return commandName + 'Safe'
+  }),
+  ['bulkSet', 'bulkSetSafe', 'multiCheck', 'multiCheckSafe']
+)
+
 // Private Methods
 
 /**
@@ -379,16 +664,24 @@ BloomClient.prototype._onReadable = function () {
         error = null,
         data = null
 
-    if (this.options.debug) {
-      _timer(command.started, 'Response received for: ' + command.filterName + ' ' + command.arguments[0])
-    }
+    this._clearCommandTimer(command)
+
+    this._log('debug', 'Response received', {
+      command: command.arguments[0],
+      filter: command.filterName,
+      elapsed: _now() - command.sent
+    })
 
     if (ResponseParser.isError(response)) {
       this.errors++
+      error = new errors.BloomdInternalError(response)
       if (this.maxErrors && (this.errors >= this.maxErrors)) {
-        return this._unavailable()
+        // Mark the client unavailable before failing the command which received the
+        // error, so that its callback can reconnect.
+        this._unavailable()
+        this._complete(command, _describeError(error, command), null)
+        return
       }
-      error = new Error('Bloomd Internal Error')
     } else {
       if (this.errors > 0) {
         this.errors--
@@ -400,11 +693,11 @@ BloomClient.prototype._onReadable = function () {
             break
 
           case responseTypes.BOOL_LIST:
-            data = ResponseParser.parseBoolList(response, command.arguments.slice(2))
+            data = ResponseParser.parseBoolList(response, command.keys)
             break
 
           case responseTypes.FILTER_LIST:
-            data = ResponseParser.parseFilterList(response)
+            data = ResponseParser.parseFilterList(response, this.namespace)
             break
 
           case responseTypes.CONFIRMATION:
@@ -432,13 +725,10 @@ BloomClient.prototype._onReadable = function () {
       }
     }
 
-    // Callbacks are optional.
-    if (command.callback) {
-      if (error) {
-        error.command = command.arguments
-      }
-      command.callback(error, data)
+    if (error) {
+      _describeError(error, command)
     }
+    this._complete(command, error, data)
   }
 }
 
@@ -446,11 +736,16 @@ BloomClient.prototype._onReadable = function () {
  * Fires when the underlying stream connects.
  */
 BloomClient.prototype._onConnect = function () {
-  if (this.options.debug) {
-    console.log('Connected to ' + this.options.host + ':' + this.options.port)
-  }
+  this._log('info', 'Connected', {attempt: this.connectionAttempts})
 
   this.unavailable = false
+  this.disconnected = false
+  this._stopConnectTimer()
+  // Attempts are counted from the connection being lost, so the next outage starts afresh.
+  this.connectionAttempts = 1
+  this.totalReconnectionTime = 0
+  this.lastReconnectDelay = 0
+  this.lastError = null
 
   this.responseParser = new ResponseParser(this)
   this.stream.pipe(this.responseParser)
@@ -469,10 +764,7 @@ BloomClient.prototype._onConnect = function () {
  * Fires when there is an error on the underlying stream.
  */
 BloomClient.prototype._onError = function (msg) {
-  var message = 'Connection failed to ' + this.options.host + ':' + this.options.port + ' (' + msg + ')'
-  if (this.options.debug) {
-    console.warn(message)
-  }
+  this._log('warn', 'Connection failed', {error: msg})
 
   this.connected = false
   this._connectionClosed('error')
@@ -484,10 +776,13 @@ BloomClient.prototype._onError = function (msg) {
  * @param {string} reason
  */
 BloomClient.prototype._connectionClosed = function (reason) {
-  if (this.options.debug) {
-    console.warn('Connection closed (' + reason + ')')
-  }
+  this._log('warn', 'Connection closed', {reason: reason})
   this.buffering = true
+  this.disconnected = true
+
+  if (!this.unavailable && !this.disposed) {
+    this._startConnectTimer()
+  }
 
   this.emit('disconnected')
   this._reconnect()
@@ -505,24 +800,40 @@ BloomClient.prototype._reconnect = function () {
 
   var self = this
 
-  if (this.disposed || (this.maxConnectionAttempts && (this.connectionAttempts >= this.maxConnectionAttempts))) {
-    // We've hits the max number of connection attempts, or we have been disposed.
+  if (this.connectionLost !== null) {
+    this.totalReconnectionTime = Date.now() - this.connectionLost
+  }
+  var outOfTime = this.connectTimeout && (this.totalReconnectionTime >= this.connectTimeout)
+
+  if (this.disposed || outOfTime || (this.maxConnectionAttempts && (this.connectionAttempts >= this.maxConnectionAttempts))) {
+    // We've hits the max number of connection attempts or run out of time, or we have been disposed.
     // Mark the client as unavailable, which will also reject the various queues.
-    if (this.options.debug) {
-      console.log('Bloomd is unavailable.')
-    }
+    this._log('error', 'Bloomd is unavailable', {
+      attempt: this.connectionAttempts,
+      elapsed: this.totalReconnectionTime
+    })
     this._unavailable()
     return
   }
 
-  // Simple linear back-off. Defaults would give ms delays of [160, 320, 480, ...]
-  var reconnectDelay = this.connectionAttempts * this.reconnectDelay
+  // By default, simple linear back-off. Defaults would give ms delays of [160, 320, 480, ...]
+  var reconnectDelay = this.retryStrategy(this.connectionAttempts, this.totalReconnectionTime, this.lastError, this.lastReconnectDelay)
+  if (typeof reconnectDelay !== 'number' || reconnectDelay < 0) {
+    // The strategy has given up.
+    this._log('error', 'Bloomd is unavailable: the retry strategy stopped', {attempt: this.connectionAttempts})
+    this._unavailable()
+    return
+  }
+  this.lastReconnectDelay = reconnectDelay
+
+  if (this.connectTimeout) {
+    // Don't wait beyond the time we have left.
+    reconnectDelay = Math.min(reconnectDelay, this.connectTimeout - this.totalReconnectionTime)
+  }
 
   this.connectionAttempts++
   this.reconnector = setTimeout(function () {
-    if (self.options.debug) {
-      console.log('Connecting: attempt (' + self.connectionAttempts + ')')
-    }
+    self._log('info', 'Connecting', {attempt: self.connectionAttempts})
     if (!self.disposed) {
       self.stream.connect(self.options.port, self.options.host)
     }
@@ -531,6 +842,59 @@ BloomClient.prototype._reconnect = function () {
   this.reconnector.unref()
 }
 
+/**
+ * Starts timing an attempt to connect, if we aren't already timing one.
+ * If there is a connectTimeout, also starts a timer to give up when it expires.
+ */
+BloomClient.prototype._startConnectTimer = function () {
+  if (this.connectionLost !== null) {
+    return
+  }
+
+  this.connectionLost = Date.now()
+  this.totalReconnectionTime = 0
+  if (!this.connectTimeout) {
+    return
+  }
+
+  var self = this
+  this.connectTimer = setTimeout(function () {
+    self._onConnectTimeout()
+  }, this.connectTimeout)
+  this.connectTimer.unref()
+}
+
+/**
+ * Stops timing an attempt to connect.
+ */
+BloomClient.prototype._stopConnectTimer = function () {
+  this.connectionLost = null
+  if (this.connectTimer) {
+    clearTimeout(this.connectTimer)
+    this.connectTimer = null
+  }
+}
+
+/**
+ * Fires when we have spent connectTimeout ms trying to connect.
+ *
+ * Gives up, even if there is an attempt in progress that has yet to fail.
+ */
+BloomClient.prototype._onConnectTimeout = function () {
+  this.connectTimer = null
+  this.totalReconnectionTime = Date.now() - this.connectionLost
+
+  this._log('error', 'Bloomd is unavailable: the connect timeout passed', {elapsed: this.totalReconnectionTime})
+
+  if (this.reconnector) {
+    clearTimeout(this.reconnector)
+    this.reconnector = null
+  }
+
+  this._unavailable()
+  this.stream.destroy()
+}
+
 /**
  * Marks the client as unavailable.
  *
@@ -540,12 +904,16 @@ BloomClient.prototype._reconnect = function () {
 BloomClient.prototype._unavailable = function() {
   var command
   this.unavailable = true
+  this._stopConnectTimer()
 
   // Clear the command queue.
   while (command = this.commandQueue.shift()) {
     this._rejectCommand(command)
   }
 
+  // Failing its sent batches has already abandoned the rest of any split command.
+  this.splitCommand = null
+
   while (command = this.offlineQueue.shift()) {
     this._rejectCommand(command)
   }
@@ -570,15 +938,158 @@ BloomClient.prototype._unavailable = function() {
  *
  * @param {Object} command
  */
-BloomClient.prototype._rejectCommand = function (command) {
-  if (this.options.debug) {
-    console.log('Rejecting command:', command.arguments[0], command.filterName)
+BloomClient.prototype._rejectCommand = function (command, message) {
+  this._clearCommandTimer(command)
+  this._log('debug', 'Rejecting command', {
+    command: command.arguments[0],
+    filter: command.filterName,
+    reason: message || 'unavailable'
+  })
+  this._complete(command, _describeError(new errors.UnavailableError(message), command), null)
+}
+
+/**
+ * Cancels the creates waiting to be retried, failing each of them and the
+ * commands held behind it.
+ */
+BloomClient.prototype._cancelCreateRetries = function () {
+  var retries = this.createRetries
+  this.createRetries = []
+
+  retries.forEach(function (retry) {
+    clearTimeout(retry.timer)
+    this._log('debug', 'Cancelling create retry', {filter: retry.filterName})
+
+    if (retry.callback) {
+      var error = _describeError(new errors.UnavailableError('Client was disposed'), {
+        arguments: ['create', retry.filterName].concat(retry.args),
+        filterName: retry.filterName
+      })
+      retry.callback.call(retry.callback, error, null)
+    }
+
+    var filterQueue = this.filterQueues[retry.filterName] || []
+    delete this.filterQueues[retry.filterName]
+    filterQueue.forEach(function (command) {
+      this._rejectCommand(command, 'Client was disposed')
+    }, this)
+  }, this)
+}
+
+/**
+ * Fires when a sent command has not been responded to in time.
+ *
+ * Responses are matched to commands purely by order, so once a response has gone
+ * missing, no later response on this connection can be trusted. Every command
+ * awaiting a response is failed, and the connection is reset.
+ *
+ * @param {Object} command
+ */
+BloomClient.prototype._onCommandTimeout = function (command) {
+  this._log('warn', 'Command timed out', {
+    command: command.arguments[0],
+    filter: command.filterName,
+    timeout: command.timeout
+  })
+
+  var commandQueue = this.commandQueue
+  this.commandQueue = []
+
+  for (var i = 0, l = commandQueue.length; i < l; i++) {
+    var queued = commandQueue[i]
+    this._clearCommandTimer(queued)
+    var timedOut = (queued === command)
+    var error = timedOut ?
+        new errors.TimeoutError() :
+        new errors.TimeoutError('Bloomd connection reset after a command timed out')
+    _describeError(error, queued)
+    this._complete(queued, error, null, timedOut ? 'timeout' : 'error')
   }
-  if (command.callback) {
-    command.callback(new Error('Bloomd is unavailable'), null)
+
+  this._resetConnection()
+}
+
+/**
+ * Stops the timer for a command, if it has one.
+ *
+ * @param {Object} command
+ */
+BloomClient.prototype._clearCommandTimer = function (command) {
+  if (command.timer) {
+    clearTimeout(command.timer)
+    command.timer = null
   }
 }
 
+/**
+ * Discards the current connection, so that a new one will be established.
+ */
+BloomClient.prototype._resetConnection = function () {
+  // Hold new commands until the connection is re-established.
+  this.buffering = true
+
+  if (this.responseParser) {
+    this.stream.unpipe(this.responseParser)
+    this.responseParser.removeAllListeners('readable')
+    this.responseParser = null
+  }
+  this.stream.destroy()
+}
+
+/**
+ * Runs a function, with any commands built while it runs using the specified timeout.
+ *
+ * @param {number} timeout
+ * @param {Function} fn
+ * @return {*} The return value of fn
+ */
+BloomClient.prototype._withTimeoutOverride = function (timeout, fn) {
+  var previous = this.timeoutOverride
+  this.timeoutOverride = timeout
+  try {
+    return fn.call(this)
+  } finally {
+    this.timeoutOverride = previous
+  }
+}
+
+/**
+ * Sends a create command, retrying if bloomd is still deleting a filter of
+ * the same name.
+ *
+ * @param {string} filterName
+ * @param {Array} args
+ * @param {number} retries The number of times the creation has been retried.
+ * @param {number} timeout The timeout override in force when create was called.
+ * @param {Function} callback
+ */
+BloomClient.prototype._create = function (filterName, args, retries, timeout, callback) {
+  var self = this
+  this._withTimeoutOverride(timeout, function () {
+    self._process('create', filterName, args.slice(0), responseTypes.CREATE_CONFIRMATION, function (error, data) {
+      if ((error instanceof errors.CreateFailedError) && ('Delete in progress' === error.line) && (retries < self.maxCreateRetries)) {
+        self._log('info', 'Delete in progress, retrying create', {filter: filterName, attempt: retries + 1})
+        var retry = {filterName: filterName, args: args, callback: callback, timer: null}
+        retry.timer = setTimeout(function () {
+          self.createRetries.splice(self.createRetries.indexOf(retry), 1)
+          self._create(filterName, args, retries + 1, timeout, callback)
+        }, (retries + 1) * self.createRetryDelay)
+        retry.timer.unref()
+        self.createRetries.push(retry)
+        return
+      }
+
+      // First, run the callback.
+      if (callback) {
+        callback.call(callback, error, data)
+      }
+
+      // Then, clear the filter queue if we have one.
+      self._clearFilterQueue(filterName)
+    })
+  })
+}
+
 /**
  * Convenience function to build and handle a command.
  *
@@ -593,7 +1104,8 @@ BloomClient.prototype._process = function (commandName, filterName, args, respon
 }
 
 /**
- * Prepares a command from the supplied arguments.
+ * Prepares a command from the supplied arguments. A filter name bloomd would refuse
+ * marks the command as invalid, so that it fails without being sent.
  *
  * @param {string} commandName
  * @param {string} filterName
@@ -603,13 +1115,131 @@ BloomClient.prototype._process = function (commandName, filterName, args, respon
  */
 BloomClient.prototype._buildCommand = function (commandName, filterName, args, responseType, callback) {
   args = args || []
+  if (filterName && this.namespace) {
+    args[0] = this.namespace + filterName
+  }
   args.unshift(commandName)
   return {
     filterName: filterName,
     arguments: args,
     responseType: responseType,
-    callback: callback
+    callback: callback,
+    timeout: (this.timeoutOverride === null) ? this.commandTimeout : this.timeoutOverride,
+    validationError: (filterName === null || filterName === undefined) ? null : validation.filterNameError(filterName, this.namespace),
+    enqueued: null,
+    sent: null
+  }
+}
+
+/**
+ * Prepares a command which operates on keys, encoding the keys with the client's
+ * keyEncoding. The command remembers the original keys, so that responses can be
+ * matched to them.
+ *
+ * If a key can't be encoded, the command is marked as invalid, and will fail with a ValidationError
+ * without being sent.
+ *
+ * If there are more keys than the batchSize for a bulk or multi, the command is split into
+ * batches, which are sent as the stream accepts them.
+ *
+ * If the client has a cache, keys it holds are left out of checks, and the cached results
+ * merged with the response. If it holds them all, the command is answered without being sent.
+ *
+ * @param {string} commandName
+ * @param {string} filterName
+ * @param {Array} keys
+ * @param {string} responseType one of ResponseParser.responseTypes
+ * @param {Function} callback
+ */
+BloomClient.prototype._buildKeysCommand = function (commandName, filterName, keys, responseType, callback) {
+  var args = [filterName]
+
+  if (this.cache) {
+    var cache = this.cache
+    var requestedKeys = keys
+    var isCheck = ('check' === commandName) || ('multi' === commandName)
+
+    if (isCheck) {
+      keys = keys.filter(function (key) {
+        return !cache.has(filterName, key)
+      })
+      if (!keys.length) {
+        var cachedCommand = this._buildCommand(commandName, filterName, args, responseType, callback)
+        cachedCommand.cachedData = (responseTypes.BOOL === responseType) ? true : _cachedResults(requestedKeys, {})
+        cachedCommand.keys = requestedKeys.slice(0)
+        return cachedCommand
+      }
+    }
+
+    var uncachedCallback = callback
+    callback = function (error, data) {
+      if (!error) {
+        if (responseTypes.BOOL === responseType) {
+          if (data || !isCheck) {
+            cache.add(filterName, keys[0])
+          }
+        } else {
+          for (var key in data) {
+            if (data[key] || !isCheck) {
+              cache.add(filterName, key)
+            }
+          }
+          if (isCheck) {
+            data = _cachedResults(requestedKeys, data)
+          }
+        }
+      }
+      if (uncachedCallback) {
+        uncachedCallback(error, data)
+      }
+    }
+  }
+
+  var command = this._buildCommand(commandName, filterName, args, responseType, callback)
+  command.keys = keys.slice(0)
+  if (command.validationError) {
+    command.arguments = command.arguments.concat(keys)
+    return command
+  }
+
+  // Every batch is encoded up front, so that a key which can't be encoded fails the call before any batch is sent.
+  var batchSize = ((responseTypes.BOOL_LIST === responseType) && this.batchSize) || keys.length
+  var batches = []
+  try {
+    for (var start = 0; start < keys.length; start += batchSize) {
+      var batchKeys = command.keys.slice(start, start + batchSize)
+      batches.push({
+        arguments: command.arguments.concat(this._encodeKeys(batchKeys)),
+        keys: batchKeys
+      })
+    }
+  } catch (err) {
+    // Keep the original keys, so the error shows what was attempted.
+    command.validationError = (err instanceof errors.BloomdError) ? err : new errors.ValidationError(err.message)
+    command.arguments = command.arguments.concat(keys)
+    return command
+  }
+
+  if (batches.length > 1) {
+    command.batches = batches
+  } else if (batches.length) {
+    command.arguments = batches[0].arguments
+  }
+  return command
+}
+
+/**
+ * Encodes keys with the client's keyEncoding. Throws if a key can't be encoded.
+ *
+ * @param {Array} keys
+ * @return {Array}
+ */
+BloomClient.prototype._encodeKeys = function (keys) {
+  var encoded = []
+  for (var i = 0, l = keys.length; i < l; i++) {
+    encoded.push(this.keyEncoding(keys[i]))
   }
+  return encoded
 }
 
 /**
@@ -623,33 +1253,159 @@ BloomClient.prototype._handle = function (command, clearing) {
   var commandName = command.arguments[0]
   var filterName = command.filterName
 
+  if (!command.enqueued) {
+    command.enqueued = _now()
+  }
+
+  if (command.validationError) {
+    // The command could never succeed, so fail it without sending it.
+    _describeError(command.validationError, command)
+    this._complete(command, command.validationError, null)
+    return
+  }
+
+  if (command.cachedData !== undefined) {
+    // The cache has already answered the command.
+    this._complete(command, null, command.cachedData)
+    return
+  }
+
   if (this.unavailable) {
     this._rejectCommand(command)
     return
   }
 
-  if (filterName && this.filterQueues[filterName] && ('create' !== commandName) && !clearing) {
+  if (this.disconnected && ('failFast' === this.queueOverflow)) {
+    this._rejectCommand(command, 'Bloomd is disconnected')
+    return
+  }
+
+  var holdingFilter = this._holdingFilter(command, clearing)
+  if (holdingFilter) {
     // There are other commands outstanding for this filter, so hold this one until they are processed.
-    if (this.options.debug) {
-      console.log('Holding command in filter sub-queue:', commandName, filterName)
-    }
-    this.filterQueues[filterName].push(command)
+    this._log('debug', 'Holding command in filter sub-queue', {command: commandName, filter: holdingFilter})
+    this._enqueue('filter', this.filterQueues[holdingFilter], this.maxFilterQueue, command)
     return
   }
 
   if (this.buffering) {
-    if (this.options.debug) {
-      console.log('Buffering command:', commandName)
-    }
-    this.offlineQueue.push(command)
+    this._log('debug', 'Buffering command', {command: commandName, filter: filterName})
+    this._enqueue('offline', this.offlineQueue, this.maxOfflineQueue, command)
   } else {
-    if (this.options.debug) {
-      console.log('Processing:', commandName)
-    }
+    this._log('debug', 'Processing', {command: commandName, filter: filterName})
     this._send(command)
   }
 }
 
+/**
+ * Returns the name of the filter whose sub-queue a command must wait in, or null if it
+ * can be sent. Commands wait while their filter is being created, and a list waits
+ * while any filter it would include is being created.
+ *
+ * @param {Object} command
+ * @param {boolean} clearing Whether the command is being released from its filter's sub-queue.
+ * @return {string}
+ */
+BloomClient.prototype._holdingFilter = function (command, clearing) {
+  var commandName = command.arguments[0]
+  if (command.filterName) {
+    var held = this.filterQueues[command.filterName] && ('create' !== commandName) && !clearing
+    return held ? command.filterName : null
+  }
+
+  if ('list' === commandName) {
+    for (var filterName in this.filterQueues) {
+      if (filterName.indexOf(command.prefix) === 0) {
+        return filterName
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Finishes a command, whether it was answered, failed or never sent, calling its callback.
+ *
+ * Emits a 'command' event describing it, with:
+ *
+ * name       The command name.
+ * filterName The filter name, if any.
+ * keys       The number of keys sent.
+ * queueTime  The time in ms between the command being issued and sent, or null if it wasn't sent.
+ * roundTrip  The time in ms between the command being sent and finishing, or null if it wasn't sent.
+ * outcome    'success', 'error' if bloomd or the connection failed it, 'timeout' if it timed out,
+ *              'rejected' if it failed without being sent, or 'cached' if the cache answered it.
+ * error      The error, if it failed.
+ *
+ * The batches of a split command are reported as a single command.
+ *
+ * @param {Object} command
+ * @param {Error} error
+ * @param {*} data
+ * @param {string} outcome Optional, as it is usually implied by the error.
+ */
+BloomClient.prototype._complete = function (command, error, data, outcome) {
+  if (command.enqueued) {
+    var answered = _now()
+    if (!outcome) {
+      if (command.cachedData !== undefined) {
+        outcome = 'cached'
+      } else if (!error) {
+        outcome = 'success'
+      } else {
+        outcome = command.sent ? 'error' : 'rejected'
+      }
+    }
+
+    var event = {
+      name: command.arguments[0],
+      filterName: command.filterName,
+      keys: command.keys ? command.keys.length : 0,
+      queueTime: command.sent ? command.sent - command.enqueued : null,
+      roundTrip: command.sent ? answered - command.sent : null,
+      outcome: outcome,
+      error: error
+    }
+    this.stats.record(event)
+    this.emit('command', event)
+  }
+
+  // Callbacks are optional.
+  if (command.callback) {
+    command.callback(error, data)
+  }
+}
+
+/**
+ * Adds a command to a queue of commands waiting to be handled, applying the
+ * queueOverflow policy if the queue is full.
+ *
+ * Emits 'queueOverflow' with the queue name and the failed command when a command
+ * is failed to make room, and 'queueHigh' with the queue name, its depth and the
+ * command's filter name when the queue becomes four fifths full.
+ *
+ * @param {string} queueName 'offline' or 'filter'
+ * @param {Array} queue
+ * @param {number} max The most commands the queue may hold. 0 for no limit.
+ * @param {Object} command
+ */
+BloomClient.prototype._enqueue = function (queueName, queue, max, command) {
+  if (max && (queue.length >= max)) {
+    var failed = ('dropOldest' === this.queueOverflow) ? queue.shift() : command
+    this._rejectCommand(failed, 'Bloomd ' + queueName + ' queue is full')
+    this.emit('queueOverflow', queueName, failed)
+    if (failed === command) {
+      return
+    }
+  }
+
+  queue.push(command)
+
+  if (max && (queue.length === Math.ceil(max * QUEUE_HIGH_FRACTION))) {
+    this.emit('queueHigh', queueName, queue.length, command.filterName)
+  }
+}
+
 /**
  * Attempts to send a command to bloomd.  If the command was sent, pushes it
  * onto the command queue for processing when the response arrives.
@@ -660,21 +1416,29 @@ BloomClient.prototype._handle = function (command, clearing) {
  * @return {boolean}
  */
 BloomClient.prototype._send = function (command) {
+  if (command.batches) {
+    return this._sendBatches(command)
+  }
+  command.sent = _now()
+
   var line = command.arguments.join(' ') + '\n'
   var processedEntirely = this.stream.write(line)
 
-  if (this.options.debug) {
-    console.log('Sent:', command.arguments[0])
-    command.started = process.hrtime()
-  }
+  this._log('debug', 'Sent', {command: command.arguments[0], filter: command.filterName})
 
   this.commandsSent++
   this.commandQueue.push(command)
 
+  if (command.timeout) {
+    var self = this
+    command.timer = setTimeout(function () {
+      self._onCommandTimeout(command)
+    }, command.timeout)
+    command.timer.unref()
+  }
+
   if (!processedEntirely) {
-    if (this.options.debug) {
-      console.log('Waiting after full buffer:', command.arguments[0])
-    }
+    this._log('debug', 'Waiting after full buffer', {command: command.arguments[0], filter: command.filterName})
     this.buffering = true
   }
 
@@ -682,16 +1446,100 @@ BloomClient.prototype._send = function (command) {
 }
 
 /**
- * Processes the offline command queue.
+ * Sends the batches of a command that was split into batches, for as long as the stream
+ * accepts them. Once its buffer is full, the rest are sent when it drains, ahead of any
+ * buffered commands. The responses to the batches are merged, and the command's callback
+ * is called once all have arrived.
+ *
+ * If any batch fails, the callback receives the error from the first which did, and the
+ * batches not yet sent are abandoned. The error also has the index of the failed batch as
+ * its batch property, and the batch's keys as its keys property.
+ *
+ * Returns a boolean indicating whether all batches were sent.
+ *
+ * @param {Object} command
+ * @return {boolean}
+ */
+BloomClient.prototype._sendBatches = function (command) {
+  if (!command.progress) {
+    command.sent = _now()
+    command.progress = {
+      next: 0,
+      outstanding: command.batches.length,
+      results: {},
+      failure: null
+    }
+  }
+
+  var progress = command.progress
+  while (progress.next < command.batches.length) {
+    if (!this._send(this._buildBatchCommand(command, progress.next++))) {
+      if (progress.next < command.batches.length) {
+        this.splitCommand = command
+      }
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Prepares one batch of a command that was split into batches, merging its response
+ * into the command's.
+ *
+ * @param {Object} command
+ * @param {number} index
+ * @return {Object}
+ */
+BloomClient.prototype._buildBatchCommand = function (command, index) {
+  var self = this
+  var batch = command.batches[index]
+  var progress = command.progress
+
+  return {
+    filterName: command.filterName,
+    arguments: batch.arguments,
+    keys: batch.keys,
+    responseType: command.responseType,
+    timeout: command.timeout,
+    error: command.error,
+    callback: function (error, data) {
+      if (error && !progress.failure) {
+        error.batch = index
+        error.keys = batch.keys
+        progress.failure = error
+        progress.outstanding -= command.batches.length - progress.next
+        progress.next = command.batches.length
+      } else if (data) {
+        for (var key in data) {
+          progress.results[key] = data[key]
+        }
+      }
+
+      if (--progress.outstanding === 0) {
+        self._complete(command, progress.failure, progress.failure ? null : progress.results)
+      }
+    }
+  }
+}
+
+/**
+ * Processes the offline command queue, after the rest of any split command.
  *
  * Marks the client as ready when there is nothing left in the queue.
  */
 BloomClient.prototype._drain = function () {
+  if (this.splitCommand) {
+    var splitCommand = this.splitCommand
+    this.splitCommand = null
+    if (!this._sendBatches(splitCommand)) {
+      return
+    }
+  }
+
   while (this.offlineQueue.length) {
     var command = this.offlineQueue.shift()
-    if (this.options.debug) {
-      console.log('Sending buffered command:', command.arguments[0])
-    }
+    this._log('debug', 'Sending buffered command', {command: command.arguments[0], filter: command.filterName})
 
     if (!this._send(command)) {
       // Buffer was filled from this command.  Wait some more.
@@ -704,7 +1552,7 @@ BloomClient.prototype._drain = function () {
 
 /**
  * Queues for processing all those commands which were held due to
- * a 'safe' method being invoked.
+ * a create or 'safe' method being invoked.
  *
  * @param {string} filterName
  */
@@ -714,15 +1562,61 @@ BloomClient.prototype._clearFilterQueue = function (filterName) {
     return
   }
 
-  if (this.options.debug) {
-    console.log('Clearing filter queue:', filterName)
-  }
+  this._log('debug', 'Clearing filter queue', {filter: filterName})
 
+  // Remove the queue first, so that a list released from it isn't held in it again.
+  delete this.filterQueues[filterName]
   while (filterQueue.length) {
     this._handle(filterQueue.shift(), true)
   }
+}
 
-  delete this.filterQueues[filterName]
+/**
+ * Returns a callback which forgets the cached keys for a filter, then calls the supplied callback.
+ * Keys are also forgotten immediately, so that checks made before the response aren't answered
+ * from the cache.
+ *
+ * Keys are forgotten even if the command fails, as it may have failed after changing the filter.
+ *
+ * @param {string} filterName
+ * @param {Function} callback
+ * @return {Function}
+ */
+BloomClient.prototype._invalidatingCallback = function (filterName, callback) {
+  var cache = this.cache
+  if (!cache) {
+    return callback
+  }
+
+  cache.invalidate(filterName)
+  return function (error, data) {
+    cache.invalidate(filterName)
+    if (callback) {
+      callback(error, data)
+    }
+  }
+}
+
+/**
+ * Logs a message, adding the client's host and port to the fields.
+ *
+ * @param {string} level 'debug', 'info', 'warn' or 'error'
+ * @param {string} message
+ * @param {Object} fields
+ */
+BloomClient.prototype._log = function (level, message, fields) {
+  if (this.logger === loggers.nullLogger) {
+    return
+  }
+
+  var entry = {
+    host: this.options.host,
+    port: this.options.port
+  }
+  for (var field in fields) {
+    entry[field] = fields[field]
+  }
+  this.logger[level](message, entry)
 }
 
 // Helper Functions
@@ -734,7 +1628,7 @@ BloomClient.prototype._clearFilterQueue = function (filterName) {
  *
  * If there is an error in the creation step, the callback will receive the filter creation
  * failure, not the original 'filter not found', to help track down why the creation
- * would be failing.
+ * would be failing. Invalid createOptions fail the command before anything is sent.
  *
  * @param {string} command
  * @return {Function}
@@ -742,64 +1636,109 @@ BloomClient.prototype._clearFilterQueue = function (filterName) {
 function _makeSafe(commandName) {
   var commandBuilder = BloomClient.prototype['_build' + commandName[0].toUpperCase()  + commandName.slice(1) + 'Command']
 
-  return function() {
+  return function safeCommand(filterName, keys, callback, createOptions) {
     // This is a function like setSafe()
     var self = this
-    var args = Array.prototype.slice.call(arguments, 0)
-    var filterName = args[0]
-    var createOptions = {}
-
-    // Supports optional createOptions as a final parameter.
-    var callback
-    if (args[args.length - 1] instanceof Function) {
-      callback = args.pop()
-    } else {
-      createOptions = args.pop()
-      callback = args.pop()
+
+    // Without a callback, createOptions may take its place: setSafe(filterName, key, createOptions)
+    if (callback && !(callback instanceof Function)) {
+      createOptions = callback
+      callback = null
+    }
+    if (!callback) {
+      return promise.promise(safeCommand, this, [filterName, keys, null, createOptions], 2)
     }
+    createOptions = createOptions || {}
 
     // Create a separate copy of these arguments, so they don't get munged by later commands
     // which modify them.
-    var originalArgs = args.slice(0)
-    originalArgs.push(callback)
+    var originalArgs = [filterName, keys, callback]
 
-    args.push(function (originalError, originalData) {
+    var originalCommand = commandBuilder.call(self, filterName, keys, function (originalError, originalData) {
       // This is the callback which catches the response to the original command
       // (e.g. safe, check, bulk, multi etc.)
-      if (originalError && ('Filter does not exist' === originalError.message)) {
+      if (originalError instanceof errors.FilterNotFoundError) {
         // Try to create the filter.  The create method will clear the queue when it completes.
-        self.create(filterName, createOptions, function (createError, createData) {
-          // This is the callback which catches the response to the create command.
-          // In it, we tell it to run the command which triggered this creation.
-          var command = commandBuilder.apply(self, originalArgs)
-
-          // If the creation fails, the triggering action will also fail.
-          // Store the creation error so we can give useful feedback for why the triggering
-          // action wasn't successful, despite it being 'safe'.
-          if (createError) {
-            command.error = createError
-          }
-
-          self._handle(command, true)
+        // The creation and the retry share the timeout of the original command.
+        self._withTimeoutOverride(originalCommand.timeout, function () {
+          self.create(filterName, createOptions, function (createError, createData) {
+            // This is the callback which catches the response to the create command.
+            // In it, we tell it to run the command which triggered this creation.
+            var command = commandBuilder.apply(self, originalArgs)
+            command.timeout = originalCommand.timeout
+
+            // If the creation fails, the triggering action will also fail.
+            // Store the creation error so we can give useful feedback for why the triggering
+            // action wasn't successful, despite it being 'safe'.
+            if (createError) {
+              command.error = createError
+            }
+
+            self._handle(command, true)
+          })
         })
       } else {
         // The filter exists, so run the original callback.
+        completed = true
         callback.call(callback, originalError, originalData)
 
         self._clearFilterQueue(filterName)
       }
     })
+    var completed = false
 
-    this._handle(commandBuilder.apply(self, args))
+    // Options bloomd would refuse mean the filter could never be created.
+    originalCommand.validationError = originalCommand.validationError || validation.createOptionsError(createOptions)
+    this._handle(originalCommand)
 
     // Create a queue for this filter, so that subsequent commands to this filter are
-    // buffered until it is created.
-    if (!this.filterQueues[filterName]) {
+    // buffered until it is created. If the command failed without being sent, there
+    // is nothing to wait for.
+    if (!completed && !this.filterQueues[filterName]) {
       this.filterQueues[filterName] = []
     }
   }
 }
 
+/**
+ * Adds the command's arguments and filter name to an error, returning it.
+ *
+ * @param {Error} error
+ * @param {Object} command
+ * @return {Error}
+ */
+function _describeError(error, command) {
+  error.command = command.arguments
+  error.filterName = command.filterName
+  return error
+}
+
+/**
+ * Returns the results for checked keys, in the order they were requested. Keys
+ * without a result were answered by the cache, so are in the filter.
+ *
+ * @param {Array} keys
+ * @param {Object} data
+ * @return {Object}
+ */
+function _cachedResults(keys, data) {
+  var results = {}
+  for (var i = 0, l = keys.length; i < l; i++) {
+    results[keys[i]] = Object.prototype.hasOwnProperty.call(data, keys[i]) ? data[keys[i]] : true
+  }
+  return results
+}
+
+/**
+ * Returns a monotonic time in ms, for measuring durations.
+ *
+ * @return {number}
+ */
+function _now() {
+  var time = process.hrtime()
+  return time[0] * 1e3 + time[1] / 1e6
+}
+
 /**
  * Helper function to time performance in ms.
  *
@@ -818,6 +1757,22 @@ function _timer(since, message) {
 // Exports
 
 exports.BloomClient = BloomClient
+exports.MockBloomdServer = MockBloomdServer
+exports.BloomCluster = BloomCluster
+exports.retryStrategies = retryStrategies
+exports.keyEncodings = keyEncodings.keyEncodings
+exports.BloomFilter = require('./lib/responseParser').BloomFilter
+exports.Filter = Filter
+exports.RotatingFilter = RotatingFilter
+exports.ScalingFilter = ScalingFilter
+exports.BloomdError = errors.BloomdError
+exports.FilterNotFoundError = errors.FilterNotFoundError
+exports.BloomdInternalError = errors.BloomdInternalError
+exports.UnavailableError = errors.UnavailableError
+exports.ProtocolError = errors.ProtocolError
+exports.TimeoutError = errors.TimeoutError
+exports.CreateFailedError = errors.CreateFailedError
+exports.ValidationError = errors.ValidationError
 
 exports.createClient = function (options) {
   options = options || {}
@@ -828,4 +1783,29 @@ exports.createClient = function (options) {
   return new BloomClient(netClient, options)
 }
 
+/**
+ * Creates a cluster with a client for each of the supplied nodes.
+ *
+ * Each node is an options object for createClient(). Options given to the
+ * cluster are used as defaults for every node's client.
+ *
+ * @param {Array} nodes
+ * @param {Object} options
+ * @return {BloomCluster}
+ */
+exports.createCluster = function (nodes, options) {
+  options = options || {}
+  var clients = nodes.map(function (node) {
+    var clientOptions = {}
+    for (var key in options) {
+      clientOptions[key] = options[key]
+    }
+    for (key in node) {
+      clientOptions[key] = node[key]
+    }
+    return exports.createClient(clientOptions)
+  })
+  return new BloomCluster(clients, options)
+}
+
 exports.timer = _timer
@@ -0,0 +1,255 @@
+// Copyright 2013 The Obvious Corporation
+
+var crypto = require('crypto'),
+    events = require('events'),
+    util = require('util'),
+    promise = require('./promise')
+
+/**
+ * Commands which operate on a single filter, and are routed to the node owning it.
+ * Each takes the filter name as its first argument.
+ */
+var _filterCommands = [
+  'create', 'drop', 'close', 'clear', 'check', 'multi', 'set', 'bulk', 'info',
+  'setSafe', 'checkSafe', 'bulkSafe', 'multiSafe',
+  'bulkSet', 'bulkSetSafe', 'multiCheck', 'multiCheckSafe'
+]
+
+/**
+ * Client events which are re-emitted by the cluster, along with the node they came from.
+ */
+var _nodeEvents = {
+  connected: 'nodeConnected',
+  disconnected: 'nodeDisconnected',
+  unavailable: 'nodeUnavailable'
+}
+
+/**
+ * A client for a number of bloomd servers, each holding a share of the filters.
+ *
+ * Filters are assigned to nodes by consistent hashing on the filter name, so
+ * adding or removing a node only moves a fraction of the filters. Each node is
+ * a BloomClient, and keeps its own reconnection and unavailability behaviour;
+ * commands for a filter on an unavailable node fail, rather than being sent
+ * to a node which doesn't hold the filter.
+ *
+ * Nodes are named by their client's name option, or host:port if it has none.
+ *
+ * Options are:
+ *
+ * replicas [160] The number of points each node has on the hash ring.
+ *
+ * Emits 'nodeConnected', 'nodeDisconnected' and 'nodeUnavailable' with the node's
+ * name and client when any node's client emits the corresponding event.
+ *
+ * @param {Array} clients BloomClient instances
+ * @param {Object} options
+ */
+function BloomCluster(clients, options) {
+  if (!clients || !clients.length) {
+    throw new Error('A bloomd cluster needs at least one node')
+  }
+
+  this.options = options || {}
+  this.replicas = this.options.replicas || 160
+  this.nodes = {}
+  this.ring = []
+
+  events.EventEmitter.call(this)
+
+  for (var i = 0, l = clients.length; i < l; i++) {
+    this._addNode(clients[i])
+  }
+
+  this.ring.sort(function (a, b) {
+    return a.point - b.point
+  })
+}
+util.inherits(BloomCluster, events.EventEmitter)
+
+// API
+
+/**
+ * Returns the name of the node which holds the specified filter.
+ *
+ * @param {string} filterName
+ * @return {string}
+ */
+BloomCluster.prototype.nodeNameFor = function (filterName) {
+  var ring = this.ring
+  var point = _hash(filterName)
+
+  // Binary search for the first point on the ring at or after the filter's point.
+  var low = 0
+  var high = ring.length
+  while (low < high) {
+    var mid = (low + high) >>> 1
+    if (ring[mid].point < point) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+
+  // Wrap around the ring.
+  return ring[low === ring.length ? 0 : low].name
+}
+
+/**
+ * Returns the client for the node which holds the specified filter.
+ *
+ * @param {string} filterName
+ * @return {BloomClient}
+ */
+BloomCluster.prototype.nodeFor = function (filterName) {
+  return this.nodes[this.nodeNameFor(filterName)]
+}
+
+/**
+ * Lists filters matching the specified optional prefix, across all nodes.
+ *
+ * The data passed back to the callback will be an array of BloomFilter objects.
+ * If any node fails, the callback receives the first error.
+ *
+ * @param {string} prefix
+ * @param {Function} callback
+ */
+BloomCluster.prototype.list = function (prefix, callback) {
+  this._fanOut('list', [prefix], function (results) {
+    return Array.prototype.concat.apply([], results)
+  }, callback)
+}
+
+/**
+ * Flushes filters to disk.
+ *
+ * If a filter name is provided, that filter is flushed on the node which holds it,
+ * otherwise all filters on all nodes are flushed.
+ *
+ * @param {string} filterName
+ * @param {Function} callback
+ */
+BloomCluster.prototype.flush = function (filterName, callback) {
+  if (filterName) {
+    this.nodeFor(filterName).flush(filterName, callback)
+    return
+  }
+  this._fanOut('flush', [null], function (results) {
+    return true
+  }, callback)
+}
+
+/**
+ * Requests a reconnection of any unavailable nodes.
+ *
+ * @see BloomClient.prototype.reconnect
+ */
+BloomCluster.prototype.reconnect = function () {
+  for (var name in this.nodes) {
+    this.nodes[name].reconnect()
+  }
+}
+
+/**
+ * Closes the connections to all nodes.
+ */
+BloomCluster.prototype.dispose = function () {
+  for (var name in this.nodes) {
+    this.nodes[name].dispose()
+  }
+}
+
+for (var i = 0, l = _filterCommands.length; i < l; i++) {
+  BloomCluster.prototype[_filterCommands[i]] = _routeToNode(_filterCommands[i])
+}
+
+BloomCluster.prototype.list = promise.withPromise(BloomCluster.prototype.list, 1)
+BloomCluster.prototype.flush = promise.withPromise(BloomCluster.prototype.flush, 1)
+
+// Private Methods
+
+/**
+ * Adds a node to the cluster, placing its points on the ring.
+ *
+ * @param {BloomClient} client
+ */
+BloomCluster.prototype._addNode = function (client) {
+  var self = this
+  var name = client.options.name || (client.options.host + ':' + client.options.port)
+  if (this.nodes[name]) {
+    throw new Error('Duplicate bloomd node: ' + name)
+  }
+  this.nodes[name] = client
+
+  for (var i = 0; i < this.replicas; i++) {
+    this.ring.push({
+      point: _hash(name + '-' + i),
+      name: name
+    })
+  }
+
+  Object.keys(_nodeEvents).forEach(function (eventName) {
+    client.on(eventName, function () {
+      self.emit(_nodeEvents[eventName], name, client)
+    })
+  })
+}
+
+/**
+ * Runs a command on every node, combining the results once they have all responded.
+ *
+ * @param {string} commandName
+ * @param {Array} args The arguments to the command, excluding the callback.
+ * @param {Function} combine Given the array of results, returns the combined data.
+ * @param {Function} callback
+ */
+BloomCluster.prototype._fanOut = function (commandName, args, combine, callback) {
+  var names = Object.keys(this.nodes)
+  var results = new Array(names.length)
+  var outstanding = names.length
+  var firstError = null
+
+  names.forEach(function (name, index) {
+    var client = this.nodes[name]
+    client[commandName].apply(client, args.concat(function (error, data) {
+      if (error && !firstError) {
+        error.node = name
+        firstError = error
+      }
+      results[index] = data
+      if (--outstanding === 0 && callback) {
+        callback(firstError, firstError ? null : combine(results))
+      }
+    }))
+  }, this)
+}
+
+// Helper Functions
+
+/**
+ * Returns a function which runs the named command on the node holding the
+ * filter named by its first argument.
+ *
+ * @param {string} commandName
+ * @return {Function}
+ */
+function _routeToNode(commandName) {
+  return function (filterName) {
+    var client = this.nodeFor(filterName)
+    return client[commandName].apply(client, arguments)
+  }
+}
+
+/**
+ * Hashes a string to a point on the ring.
+ *
+ * @param {string} value
+ * @return {number}
+ */
+function _hash(value) {
+  return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0)
+}
+
+// Exports
+
+exports.BloomCluster = BloomCluster
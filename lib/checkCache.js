@@ -0,0 +1,115 @@
+// Copyright 2013 The Obvious Corporation
+
+/**
+ * A least recently used cache of keys known to be in filters.
+ *
+ * Bloom filters have no false negatives, so once a key has been found in a
+ * filter, or set in it, it stays there until the filter is cleared or dropped.
+ * Only positive results are cached. A negative one could be outdated by a set
+ * from any other client.
+ *
+ * Options are:
+ *
+ * size [1000] The most keys to hold, across all filters.
+ * ttl  [0]    The time in ms for which a key is held. 0 for no limit.
+ *
+ * @param {Object} options
+ */
+function CheckCache(options) {
+  options = options || {}
+  this.size = options.size || 1000
+  this.ttl = options.ttl || 0
+
+  // Maps are iterated in insertion order, so the first entry is the least recently used.
+  this.entries = new Map()
+  this.hits = 0
+  this.misses = 0
+}
+
+/**
+ * Whether the key is known to be in the filter.
+ *
+ * @param {string} filterName
+ * @param {string} key
+ * @return {boolean}
+ */
+CheckCache.prototype.has = function (filterName, key) {
+  var id = _id(filterName, key)
+  var entry = this.entries.get(id)
+
+  if (entry && this.ttl && (Date.now() >= entry.expires)) {
+    this.entries.delete(id)
+    entry = null
+  }
+
+  if (!entry) {
+    this.misses++
+    return false
+  }
+
+  // Move the entry to the most recently used end.
+  this.entries.delete(id)
+  this.entries.set(id, entry)
+  this.hits++
+  return true
+}
+
+/**
+ * Records that the key is in the filter, evicting the least recently used key if the cache is full.
+ *
+ * @param {string} filterName
+ * @param {string} key
+ */
+CheckCache.prototype.add = function (filterName, key) {
+  var id = _id(filterName, key)
+  this.entries.delete(id)
+  this.entries.set(id, {
+    filterName: filterName,
+    expires: this.ttl ? Date.now() + this.ttl : 0
+  })
+
+  if (this.entries.size > this.size) {
+    this.entries.delete(this.entries.keys().next().value)
+  }
+}
+
+/**
+ * Forgets all keys for the filter.
+ *
+ * @param {string} filterName
+ */
+CheckCache.prototype.invalidate = function (filterName) {
+  this.entries.forEach(function (entry, id, entries) {
+    if (entry.filterName === filterName) {
+      entries.delete(id)
+    }
+  })
+}
+
+/**
+ * Returns the number of lookups answered and not answered by the cache, and the number of keys held.
+ *
+ * @return {Object}
+ */
+CheckCache.prototype.getStats = function () {
+  return {
+    hits: this.hits,
+    misses: this.misses,
+    size: this.entries.size
+  }
+}
+
+/**
+ * Identifies a key in a filter. Filter names can't contain line breaks.
+ *
+ * @param {string} filterName
+ * @param {string} key
+ * @return {string}
+ */
+function _id(filterName, key) {
+  return filterName + '\n' + key
+}
+
+// Exports
+
+exports.CheckCache = CheckCache
@@ -0,0 +1,576 @@
+// Copyright 2013 The Obvious Corporation
+
+var fs = require('fs'),
+    path = require('path'),
+    readline = require('readline'),
+    bloom = require('../index')
+
+/**
+ * The file the interactive prompt keeps its history in, and the most lines it keeps.
+ */
+var HISTORY_FILE = path.join(process.env.HOME || process.env.USERPROFILE || '.', '.bloomd_cli_history')
+var HISTORY_SIZE = 1000
+
+/**
+ * Exit statuses in command mode. A check which finds no key, or a multi which doesn't
+ * find every key, exits with NOT_FOUND, so that scripts can test the result.
+ */
+var EXIT_OK = 0
+var EXIT_NOT_FOUND = 1
+var EXIT_ERROR = 2
+
+/**
+ * The columns shown when listing filters.
+ */
+var LIST_COLUMNS = ['name', 'probability', 'storage', 'capacity', 'size', 'fillRatio']
+
+var USAGE = [
+  'Usage: bloomd-cli [options]',
+  '',
+  'Options:',
+  '  -h, --host <host>       The bloomd host [127.0.0.1]',
+  '  -p, --port <port>       The bloomd port [8673]',
+  '  -n, --namespace <name>  A prefix for every filter name',
+  '  -t, --timeout <ms>      The time to wait to connect, and for each reply [5000]',
+  '  -c, --command <command> Run a single command, printing its result as JSON, and exit.',
+  '                          Exits with 1 if a check or multi doesn\'t find every key, or 2 on error.',
+  '  --help                  Show this help'
+].join('\n')
+
+/**
+ * The commands which can be run, each with its usage, whether its first argument is a filter
+ * name, its least and most number of arguments, and a function running it on a client.
+ * A command may also have a function parsing its arguments, which throws if they're invalid.
+ */
+var COMMANDS = {
+  create: {
+    usage: 'create <filter> [prob=<p>] [capacity=<n>] [in_memory=<0|1>]',
+    filter: true,
+    minArgs: 1,
+    maxArgs: Infinity,
+    parseArgs: function (args) {
+      return [args[0], _parseCreateOptions(args.slice(1))]
+    },
+    run: function (client, args, callback) {
+      client.create(args[0], args[1], callback)
+    }
+  },
+  list: {
+    usage: 'list [prefix]',
+    filter: true,
+    minArgs: 0,
+    maxArgs: 1,
+    run: function (client, args, callback) {
+      client.list(args[0] || null, callback)
+    }
+  },
+  info: _filterCommand('info'),
+  check: _keyCommand('check'),
+  set: _keyCommand('set'),
+  multi: _keysCommand('multi'),
+  bulk: _keysCommand('bulk'),
+  drop: _filterCommand('drop'),
+  clear: _filterCommand('clear'),
+  close: _filterCommand('close'),
+  flush: {
+    usage: 'flush [filter]',
+    filter: true,
+    minArgs: 0,
+    maxArgs: 1,
+    run: function (client, args, callback) {
+      client.flush(args[0] || null, callback)
+    }
+  }
+}
+
+// API
+
+/**
+ * Parses command line arguments into options.
+ *
+ * Throws if an option is unknown, or is missing its value.
+ *
+ * @param {Array} argv The arguments after the script name.
+ * @return {Object}
+ */
+function parseArgs(argv) {
+  var options = {
+    host: null,
+    port: null,
+    namespace: null,
+    timeout: 5000,
+    command: null,
+    help: false
+  }
+  var names = {
+    '-h': 'host', '--host': 'host',
+    '-p': 'port', '--port': 'port',
+    '-n': 'namespace', '--namespace': 'namespace',
+    '-t': 'timeout', '--timeout': 'timeout',
+    '-c': 'command', '--command': 'command'
+  }
+
+  for (var i = 0; i < argv.length; i++) {
+    if ('--help' === argv[i]) {
+      options.help = true
+      continue
+    }
+    var name = names[argv[i]]
+    if (!name) {
+      throw new Error('Unknown option: ' + argv[i])
+    }
+    if (i + 1 >= argv.length) {
+      throw new Error('Missing value for ' + argv[i])
+    }
+    options[name] = argv[++i]
+  }
+
+  options.port = options.port && Number(options.port)
+  options.timeout = Number(options.timeout)
+  if ((options.port !== null && !(options.port > 0)) || !(options.timeout >= 0)) {
+    throw new Error('Port and timeout must be numbers')
+  }
+  return options
+}
+
+/**
+ * Parses a line typed at the prompt into a command name and its arguments, or returns
+ * null if the line is blank.
+ *
+ * Throws if the command is unknown, or has the wrong number of arguments.
+ *
+ * @param {string} line
+ * @return {Object}
+ */
+function parseLine(line) {
+  var words = line.trim().split(/\s+/).filter(Boolean)
+  if (!words.length) {
+    return null
+  }
+
+  var commandName = words[0].toLowerCase()
+  var command = COMMANDS[commandName]
+  if (!command) {
+    throw new Error('Unknown command: ' + words[0] + '. Commands are ' + Object.keys(COMMANDS).join(', '))
+  }
+
+  var args = words.slice(1)
+  if (args.length < command.minArgs || args.length > command.maxArgs) {
+    throw new Error('Usage: ' + command.usage)
+  }
+  return {commandName: commandName, args: command.parseArgs ? command.parseArgs(args) : args}
+}
+
+/**
+ * Runs a line typed at the prompt on a client.
+ *
+ * The data passed back to the callback will be the command's name and data,
+ * or null if the line was blank.
+ *
+ * @param {BloomClient} client
+ * @param {string} line
+ * @param {Function} callback
+ */
+function runLine(client, line, callback) {
+  var parsed
+  try {
+    parsed = parseLine(line)
+  } catch (err) {
+    callback(err, null)
+    return
+  }
+  if (!parsed) {
+    callback(null, null)
+    return
+  }
+
+  COMMANDS[parsed.commandName].run(client, parsed.args, function (error, data) {
+    callback(error, error ? null : {commandName: parsed.commandName, data: data})
+  })
+}
+
+/**
+ * Formats a command's data for the prompt: filters and key results as tables,
+ * anything else as it is.
+ *
+ * @param {string} commandName
+ * @param {*} data
+ * @return {string}
+ */
+function formatResult(commandName, data) {
+  switch (commandName) {
+    case 'list':
+      if (!data.length) {
+        return '(no filters)'
+      }
+      return formatTable(data.map(function (filter) {
+        return filter.toJSON()
+      }), LIST_COLUMNS)
+
+    case 'info':
+      var fields = data.toJSON()
+      return formatTable(Object.keys(fields).map(function (field) {
+        return {field: field, value: fields[field]}
+      }), ['field', 'value'])
+
+    case 'multi':
+    case 'bulk':
+      return formatTable(Object.keys(data).map(function (key) {
+        return {key: key, value: data[key]}
+      }), ['key', 'value'])
+
+    default:
+      return String(data)
+  }
+}
+
+/**
+ * Formats rows of objects as a table with a header, with a column for each of the fields.
+ * Numbers are right-aligned, and fractions shown to 6 significant figures.
+ *
+ * @param {Array} rows
+ * @param {Array} columns
+ * @return {string}
+ */
+function formatTable(rows, columns) {
+  var cells = rows.map(function (row) {
+    return columns.map(function (column) {
+      return _formatValue(row[column])
+    })
+  })
+  var widths = columns.map(function (column, index) {
+    return cells.reduce(function (width, rowCells) {
+      return Math.max(width, rowCells[index].length)
+    }, column.length)
+  })
+  var numeric = columns.map(function (column) {
+    return rows.length > 0 && rows.every(function (row) {
+      return typeof row[column] === 'number' || row[column] === null
+    })
+  })
+
+  function formatRow(rowCells) {
+    return rowCells.map(function (cell, index) {
+      return numeric[index] ? _padStart(cell, widths[index]) : _padEnd(cell, widths[index])
+    }).join('  ').replace(/\s+$/, '')
+  }
+
+  var lines = [formatRow(columns), formatRow(widths.map(function (width) {
+    return new Array(width + 1).join('-')
+  }))]
+  return lines.concat(cells.map(formatRow)).join('\n')
+}
+
+/**
+ * Returns the exit status for a command's outcome in command mode.
+ *
+ * @param {string} commandName
+ * @param {Error} error
+ * @param {*} data
+ * @return {number}
+ */
+function exitStatus(commandName, error, data) {
+  if (error) {
+    return EXIT_ERROR
+  }
+  if ('check' === commandName) {
+    return data ? EXIT_OK : EXIT_NOT_FOUND
+  }
+  if ('multi' === commandName) {
+    for (var key in data) {
+      if (!data[key]) {
+        return EXIT_NOT_FOUND
+      }
+    }
+  }
+  return EXIT_OK
+}
+
+/**
+ * Returns a readline completer, which completes command names, and then the names of
+ * filters returned by getFilterNames.
+ *
+ * @param {Function} getFilterNames
+ * @return {Function}
+ */
+function createCompleter(getFilterNames) {
+  return function (line) {
+    var words = line.replace(/^\s+/, '').split(/\s+/)
+    var word = words[words.length - 1]
+    var candidates = []
+
+    if (words.length === 1) {
+      candidates = Object.keys(COMMANDS)
+    } else if (words.length === 2 && COMMANDS[words[0].toLowerCase()] && COMMANDS[words[0].toLowerCase()].filter) {
+      candidates = getFilterNames()
+    }
+
+    return [candidates.filter(function (candidate) {
+      return candidate.indexOf(word) === 0
+    }).sort(), word]
+  }
+}
+
+/**
+ * Runs the tool with command line arguments.
+ *
+ * @param {Array} argv The arguments after the script name.
+ */
+function main(argv) {
+  var options
+  try {
+    options = parseArgs(argv)
+  } catch (err) {
+    process.stderr.write(err.message + '\n\n' + USAGE + '\n')
+    process.exit(EXIT_ERROR)
+  }
+  if (options.help) {
+    process.stdout.write(USAGE + '\n')
+    return
+  }
+
+  var client = bloom.createClient({
+    host: options.host,
+    port: options.port,
+    namespace: options.namespace,
+    connectTimeout: options.timeout,
+    commandTimeout: options.timeout
+  })
+
+  if (null !== options.command) {
+    runCommand(client, options.command)
+  } else {
+    startPrompt(client)
+  }
+}
+
+/**
+ * Runs a single command, writing its data as JSON to stdout, or its error as JSON to
+ * stderr, then exits with the command's exit status.
+ *
+ * @param {BloomClient} client
+ * @param {string} line
+ */
+function runCommand(client, line) {
+  runLine(client, line, function (error, result) {
+    var commandName = result ? result.commandName : null
+    var data = result ? result.data : null
+    var status = exitStatus(commandName, error, data)
+    var stream = error ? process.stderr : process.stdout
+    var output = error ? {error: error.message, code: error.code || null} : data
+
+    client.dispose()
+    stream.write(JSON.stringify(output) + '\n', function () {
+      process.exit(status)
+    })
+  })
+}
+
+/**
+ * Starts the interactive prompt, which runs each line typed at it, with history
+ * kept between sessions and completion of command and filter names. Once bloomd
+ * has become unavailable, each line first tries to reconnect.
+ *
+ * @param {BloomClient} client
+ */
+function startPrompt(client) {
+  var filterNames = []
+  var rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: createCompleter(function () {
+      return filterNames
+    }),
+    history: _readHistory(),
+    historySize: HISTORY_SIZE
+  })
+
+  function refreshFilterNames() {
+    client.list(null, function (error, filters) {
+      if (!error) {
+        filterNames = filters.map(function (filter) {
+          return filter.name
+        })
+      }
+    })
+  }
+
+  rl.setPrompt('bloomd> ')
+  refreshFilterNames()
+  rl.prompt()
+
+  rl.on('line', function (line) {
+    rl.pause()
+    if (client.unavailable) {
+      // Bloomd may be back, so try again rather than failing every command.
+      client.reconnect()
+    }
+    runLine(client, line, function (error, result) {
+      if (error) {
+        console.log('Error: ' + error.message)
+      } else if (result) {
+        console.log(formatResult(result.commandName, result.data))
+        if ('create' === result.commandName || 'drop' === result.commandName) {
+          refreshFilterNames()
+        }
+      }
+      rl.prompt()
+    })
+  })
+
+  rl.on('close', function () {
+    _writeHistory(rl.history)
+    client.dispose()
+    process.stdout.write('\n')
+    process.exit(EXIT_OK)
+  })
+}
+
+// Helper Functions
+
+/**
+ * Returns the definition of a command taking just a filter name.
+ *
+ * @param {string} commandName
+ * @return {Object}
+ */
+function _filterCommand(commandName) {
+  return {
+    usage: commandName + ' <filter>',
+    filter: true,
+    minArgs: 1,
+    maxArgs: 1,
+    run: function (client, args, callback) {
+      client[commandName](args[0], callback)
+    }
+  }
+}
+
+/**
+ * Returns the definition of a command taking a filter name and a key.
+ *
+ * @param {string} commandName
+ * @return {Object}
+ */
+function _keyCommand(commandName) {
+  return {
+    usage: commandName + ' <filter> <key>',
+    filter: true,
+    minArgs: 2,
+    maxArgs: 2,
+    run: function (client, args, callback) {
+      client[commandName](args[0], args[1], callback)
+    }
+  }
+}
+
+/**
+ * Returns the definition of a command taking a filter name and one or more keys.
+ *
+ * @param {string} commandName
+ * @return {Object}
+ */
+function _keysCommand(commandName) {
+  return {
+    usage: commandName + ' <filter> <key> [key ...]',
+    filter: true,
+    minArgs: 2,
+    maxArgs: Infinity,
+    run: function (client, args, callback) {
+      client[commandName](args[0], args.slice(1), callback)
+    }
+  }
+}
+
+/**
+ * Parses key=value words into create options. Values which are numbers become numbers,
+ * and the client validates the rest.
+ *
+ * @param {Array} words
+ * @return {Object}
+ */
+function _parseCreateOptions(words) {
+  var options = {}
+  words.forEach(function (word) {
+    var match = /^([^=]+)=(.+)$/.exec(word)
+    if (!match) {
+      throw new Error('Create options must be key=value: ' + word)
+    }
+    options[match[1]] = isNaN(Number(match[2])) ? match[2] : Number(match[2])
+  })
+  return options
+}
+
+/**
+ * Formats a value for a table cell.
+ *
+ * @param {*} value
+ * @return {string}
+ */
+function _formatValue(value) {
+  if (value === null || value === undefined) {
+    return '-'
+  }
+  if (typeof value === 'number' && value % 1 !== 0) {
+    return String(Number(value.toPrecision(6)))
+  }
+  return String(value)
+}
+
+/**
+ * Pads a string with spaces on the left to a width.
+ *
+ * @param {string} value
+ * @param {number} width
+ * @return {string}
+ */
+function _padStart(value, width) {
+  return new Array(Math.max(0, width - value.length) + 1).join(' ') + value
+}
+
+/**
+ * Pads a string with spaces on the right to a width.
+ *
+ * @param {string} value
+ * @param {number} width
+ * @return {string}
+ */
+function _padEnd(value, width) {
+  return value + new Array(Math.max(0, width - value.length) + 1).join(' ')
+}
+
+/**
+ * Reads the prompt's history, newest first, or an empty history if there is none.
+ *
+ * @return {Array}
+ */
+function _readHistory() {
+  try {
+    return fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE)
+  } catch (err) {
+    return []
+  }
+}
+
+/**
+ * Writes the prompt's history, oldest first. Failures are ignored, as history is a convenience.
+ *
+ * @param {Array} history Newest first.
+ */
+function _writeHistory(history) {
+  try {
+    fs.writeFileSync(HISTORY_FILE, history.slice(0, HISTORY_SIZE).reverse().join('\n') + '\n')
+  } catch (err) {}
+}
+
+// Exports
+
+exports.COMMANDS = COMMANDS
+exports.parseArgs = parseArgs
+exports.parseLine = parseLine
+exports.runLine = runLine
+exports.formatResult = formatResult
+exports.formatTable = formatTable
+exports.exitStatus = exitStatus
+exports.createCompleter = createCompleter
+exports.main = main
@@ -0,0 +1,101 @@
+// Copyright 2013 The Obvious Corporation
+
+/**
+ * The latency percentiles reported for each command.
+ */
+var PERCENTILES = [50, 90, 99]
+
+/**
+ * Aggregates the outcomes of commands, as emitted in a client's 'command' events.
+ *
+ * Counts are kept for all commands. Latency percentiles are calculated from the
+ * round trip times of the most recent sampleSize answered commands of each name.
+ *
+ * @param {number} sampleSize
+ */
+function CommandStats(sampleSize) {
+  this.sampleSize = sampleSize || 1000
+  this.commands = {}
+}
+
+/**
+ * Records the outcome of a command.
+ *
+ * @param {Object} event A 'command' event.
+ */
+CommandStats.prototype.record = function (event) {
+  var stats = this.commands[event.name]
+  if (!stats) {
+    stats = this.commands[event.name] = {
+      count: 0,
+      errors: 0,
+      outcomes: {},
+      samples: [],
+      nextSample: 0
+    }
+  }
+
+  stats.count++
+  if (event.error) {
+    stats.errors++
+  }
+  stats.outcomes[event.outcome] = (stats.outcomes[event.outcome] || 0) + 1
+
+  if (event.roundTrip !== null) {
+    // The samples are a ring buffer, overwriting the oldest once full.
+    stats.samples[stats.nextSample] = event.roundTrip
+    stats.nextSample = (stats.nextSample + 1) % this.sampleSize
+  }
+}
+
+/**
+ * Returns the counts, error counts, outcomes and latency percentiles in ms for each command name.
+ *
+ * @return {Object}
+ */
+CommandStats.prototype.getStats = function () {
+  var result = {}
+  for (var name in this.commands) {
+    var stats = this.commands[name]
+    var sorted = stats.samples.slice(0).sort(function (a, b) {
+      return a - b
+    })
+
+    var latency = {}
+    PERCENTILES.forEach(function (percentile) {
+      latency['p' + percentile] = _percentile(sorted, percentile)
+    })
+    latency.max = sorted.length ? sorted[sorted.length - 1] : null
+
+    var outcomes = {}
+    for (var outcome in stats.outcomes) {
+      outcomes[outcome] = stats.outcomes[outcome]
+    }
+
+    result[name] = {
+      count: stats.count,
+      errors: stats.errors,
+      outcomes: outcomes,
+      latency: latency
+    }
+  }
+  return result
+}
+
+/**
+ * Returns the value at the percentile of sorted values, by the nearest rank method.
+ *
+ * @param {Array} sorted
+ * @param {number} percentile
+ * @return {number}
+ */
+function _percentile(sorted, percentile) {
+  if (!sorted.length) {
+    return null
+  }
+  return sorted[Math.max(Math.ceil(percentile / 100 * sorted.length) - 1, 0)]
+}
+
+// Exports
+
+exports.CommandStats = CommandStats
@@ -0,0 +1,136 @@
+// Copyright 2013 The Obvious Corporation
+
+var util = require('util')
+
+/**
+ * The base class of errors from bloomd, or from the client while talking to it.
+ *
+ * Each has a stable code, which can be compared instead of the message. Once the
+ * error reaches a callback, it also has the arguments of the command which failed
+ * as its command property, and the name of the filter it was for, if any, as its
+ * filterName property. Errors caused by a reply from bloomd have the reply as their
+ * line property: a string, or an array of lines for a list or info block.
+ *
+ * @param {string} message
+ * @param {string|Array} line
+ */
+function BloomdError(message, line) {
+  Error.call(this)
+  Error.captureStackTrace(this, this.constructor)
+  this.name = this.constructor.name
+  this.message = message
+  this.code = 'BLOOMD_ERROR'
+  this.command = null
+  this.filterName = null
+  this.line = (line === undefined) ? null : line
+}
+util.inherits(BloomdError, Error)
+
+/**
+ * The filter a command was for doesn't exist.
+ *
+ * @param {string} line
+ */
+function FilterNotFoundError(line) {
+  BloomdError.call(this, 'Filter does not exist', line)
+  this.code = 'FILTER_NOT_FOUND'
+}
+util.inherits(FilterNotFoundError, BloomdError)
+
+/**
+ * Bloomd replied with 'Internal Error'.
+ *
+ * @param {string} line
+ */
+function BloomdInternalError(line) {
+  BloomdError.call(this, 'Bloomd Internal Error', line)
+  this.code = 'INTERNAL_ERROR'
+}
+util.inherits(BloomdInternalError, BloomdError)
+
+/**
+ * The command couldn't be sent, because the client is unavailable or disconnected,
+ * or its queue was full.
+ *
+ * @param {string} message
+ */
+function UnavailableError(message) {
+  BloomdError.call(this, message || 'Bloomd is unavailable')
+  this.code = 'UNAVAILABLE'
+}
+util.inherits(UnavailableError, BloomdError)
+
+/**
+ * Bloomd replied with something other than the expected reply. The message is the reply.
+ *
+ * @param {string|Array} line
+ */
+function ProtocolError(line) {
+  BloomdError.call(this, String(line), line)
+  this.code = 'PROTOCOL_ERROR'
+}
+util.inherits(ProtocolError, BloomdError)
+
+/**
+ * The command wasn't answered in time, or was lost when the connection was reset
+ * after another command timed out.
+ *
+ * @param {string} message
+ */
+function TimeoutError(message) {
+  BloomdError.call(this, message || 'Bloomd command timed out')
+  this.code = 'TIMEOUT'
+}
+util.inherits(TimeoutError, BloomdError)
+
+/**
+ * Bloomd refused to create a filter. The message is the reply, such as
+ * 'Delete in progress' or 'Client Error: Bad arguments'.
+ *
+ * @param {string} line
+ */
+function CreateFailedError(line) {
+  BloomdError.call(this, String(line), line)
+  this.code = 'CREATE_FAILED'
+}
+util.inherits(CreateFailedError, BloomdError)
+
+/**
+ * A command's arguments, such as a filter name or create options, would be refused
+ * by bloomd, so it failed without being sent.
+ *
+ * @param {string} message
+ */
+function ValidationError(message) {
+  BloomdError.call(this, message)
+  this.code = 'INVALID_ARGUMENT'
+}
+util.inherits(ValidationError, BloomdError)
+
+/**
+ * Returns the error for an unexpected reply from bloomd.
+ *
+ * @param {string|Array} line
+ * @return {BloomdError}
+ */
+function fromReply(line) {
+  if ('Filter does not exist' === line) {
+    return new FilterNotFoundError(line)
+  }
+  if ('Internal Error' === line) {
+    return new BloomdInternalError(line)
+  }
+  return new ProtocolError(line)
+}
+
+// Exports
+
+exports.BloomdError = BloomdError
+exports.FilterNotFoundError = FilterNotFoundError
+exports.BloomdInternalError = BloomdInternalError
+exports.UnavailableError = UnavailableError
+exports.ProtocolError = ProtocolError
+exports.TimeoutError = TimeoutError
+exports.CreateFailedError = CreateFailedError
+exports.ValidationError = ValidationError
+exports.fromReply = fromReply
@@ -0,0 +1,220 @@
+// Copyright 2013 The Obvious Corporation
+
+var promise = require('./promise')
+
+/**
+ * A handle on a single filter, which runs commands on it through a client without
+ * the filter name, or the options to create it with, being passed to every call.
+ *
+ * Options are:
+ *
+ * safe [false] Whether set, check, bulk and multi use their safe versions, creating
+ *                the filter with the handle's createOptions if it doesn't exist.
+ *
+ * Its counters property counts, for commands run through the handle:
+ *
+ * commands    The commands run.
+ * errors      The commands which failed.
+ * keysSet     The keys set.
+ * keysAdded   The keys set which were new to the filter.
+ * keysChecked The keys checked.
+ * keysFound   The keys checked which were in the filter.
+ *
+ * @param {BloomClient} client
+ * @param {string} name
+ * @param {Object} createOptions
+ * @param {Object} options
+ */
+function Filter(client, name, createOptions, options) {
+  options = options || {}
+  this.client = client
+  this.name = name
+  this.createOptions = createOptions || {}
+  this.safe = !!options.safe
+  this.counters = {
+    commands: 0,
+    errors: 0,
+    keysSet: 0,
+    keysAdded: 0,
+    keysChecked: 0,
+    keysFound: 0
+  }
+}
+
+/**
+ * Creates the filter with the handle's createOptions, if it doesn't already exist.
+ *
+ * @param {Function} callback
+ */
+Filter.prototype.ensure = function (callback) {
+  this._run('create', [this.createOptions], callback)
+}
+
+/**
+ * @see BloomClient.prototype.set
+ *
+ * @param {string} key
+ * @param {Function} callback
+ */
+Filter.prototype.set = function (key, callback) {
+  this._run(this.safe ? 'setSafe' : 'set', [key], callback)
+}
+
+/**
+ * @see BloomClient.prototype.check
+ *
+ * @param {string} key
+ * @param {Function} callback
+ */
+Filter.prototype.check = function (key, callback) {
+  this._run(this.safe ? 'checkSafe' : 'check', [key], callback)
+}
+
+/**
+ * @see BloomClient.prototype.bulk
+ *
+ * @param {Array} keys
+ * @param {Function} callback
+ */
+Filter.prototype.bulk = function (keys, callback) {
+  this._run(this.safe ? 'bulkSafe' : 'bulk', [keys], callback)
+}
+
+/**
+ * @see BloomClient.prototype.multi
+ *
+ * @param {Array} keys
+ * @param {Function} callback
+ */
+Filter.prototype.multi = function (keys, callback) {
+  this._run(this.safe ? 'multiSafe' : 'multi', [keys], callback)
+}
+
+/**
+ * Safe versions of set, check, bulk and multi, whether or not the handle is safe.
+ */
+;['set', 'check', 'bulk', 'multi'].forEach(function (commandName) {
+  Filter.prototype[commandName + 'Safe'] = function (keys, callback) {
+    this._run(commandName + 'Safe', [keys], callback)
+  }
+})
+
+/**
+ * Commands which take nothing but the filter name.
+ *
+ * @see BloomClient.prototype.info etc.
+ */
+;['info', 'clear', 'close', 'flush', 'drop'].forEach(function (commandName) {
+  Filter.prototype[commandName] = function (callback) {
+    this._run(commandName, [], callback)
+  }
+})
+
+/**
+ * Commands return a Promise when called without a callback.
+ * Maps each command to the position of its callback argument.
+ */
+var _callbackPositions = {
+  ensure: 0,
+  set: 1,
+  check: 1,
+  bulk: 1,
+  multi: 1,
+  setSafe: 1,
+  checkSafe: 1,
+  bulkSafe: 1,
+  multiSafe: 1,
+  info: 0,
+  clear: 0,
+  close: 0,
+  flush: 0,
+  drop: 0
+}
+promise.withPromises(Filter.prototype, _callbackPositions)
+
+// Private Methods
+
+/**
+ * Runs a client command on the filter, counting its outcome.
+ *
+ * @param {string} commandName
+ * @param {Array} args The arguments after the filter name, excluding the callback.
+ * @param {Function} callback
+ */
+Filter.prototype._run = function (commandName, args, callback) {
+  var self = this
+  var client = this.client
+
+  args = [this.name].concat(args, function (error, data) {
+    self._count(commandName, error, data)
+    callback(error, data)
+  })
+  if (/Safe$/.test(commandName)) {
+    args.push(this.createOptions)
+  }
+
+  client[commandName].apply(client, args)
+}
+
+/**
+ * Updates the counters for a finished command.
+ *
+ * @param {string} commandName
+ * @param {Error} error
+ * @param {*} data
+ */
+Filter.prototype._count = function (commandName, error, data) {
+  var counters = this.counters
+  counters.commands++
+  if (error) {
+    counters.errors++
+    return
+  }
+
+  switch (commandName.replace(/Safe$/, '')) {
+    case 'set':
+      counters.keysSet++
+      counters.keysAdded += data ? 1 : 0
+      break
+
+    case 'check':
+      counters.keysChecked++
+      counters.keysFound += data ? 1 : 0
+      break
+
+    case 'bulk':
+      var added = _tally(data)
+      counters.keysSet += added.keys
+      counters.keysAdded += added.hits
+      break
+
+    case 'multi':
+      var found = _tally(data)
+      counters.keysChecked += found.keys
+      counters.keysFound += found.hits
+      break
+  }
+}
+
+// Helper Functions
+
+/**
+ * Counts the keys in a bulk or multi result, and those which are true.
+ *
+ * @param {Object} data
+ * @return {Object}
+ */
+function _tally(data) {
+  var tally = {keys: 0, hits: 0}
+  for (var key in data) {
+    tally.keys++
+    if (data[key]) {
+      tally.hits++
+    }
+  }
+  return tally
+}
+
+// Exports
+
+exports.Filter = Filter
@@ -0,0 +1,87 @@
+// Copyright 2013 The Obvious Corporation
+
+var errors = require('./errors')
+
+/**
+ * Checks whether a key is in any of a group of filters, checking them all at once.
+ * Filters which don't exist hold no keys.
+ *
+ * @param {BloomClient} client
+ * @param {Array} filterNames
+ * @param {string} key
+ * @param {Function} callback
+ */
+function check(client, filterNames, key, callback) {
+  _checkAll(client, 'check', filterNames, key, function (results) {
+    return results.some(function (result) {
+      return result
+    })
+  }, callback)
+}
+
+/**
+ * Checks whether each of multiple keys is in any of a group of filters, checking
+ * them all at once. Filters which don't exist hold no keys.
+ *
+ * The data passed back to the callback will be an object map of each key to
+ * whether it was found in any filter.
+ *
+ * @param {BloomClient} client
+ * @param {Array} filterNames
+ * @param {Array} keys
+ * @param {Function} callback
+ */
+function multi(client, filterNames, keys, callback) {
+  _checkAll(client, 'multi', filterNames, keys, function (results) {
+    var found = {}
+    keys.forEach(function (key) {
+      found[key] = results.some(function (result) {
+        return !!(result && result[key])
+      })
+    })
+    return found
+  }, callback)
+}
+
+// Helper Functions
+
+/**
+ * Runs a check or multi on every filter at once, combining the results.
+ *
+ * @param {BloomClient} client
+ * @param {string} commandName 'check' or 'multi'
+ * @param {Array} filterNames
+ * @param {string|Array} keys
+ * @param {Function} combine Given the array of results, returns the combined data.
+ * @param {Function} callback
+ */
+function _checkAll(client, commandName, filterNames, keys, combine, callback) {
+  if (!filterNames.length) {
+    // There are no filters to hold the keys.
+    process.nextTick(function () {
+      callback(null, combine([]))
+    })
+    return
+  }
+
+  var results = new Array(filterNames.length)
+  var outstanding = filterNames.length
+  var firstError = null
+
+  filterNames.forEach(function (filterName, index) {
+    client[commandName](filterName, keys, function (error, data) {
+      if (error && !(error instanceof errors.FilterNotFoundError)) {
+        firstError = firstError || error
+      }
+      results[index] = error ? null : data
+      if (--outstanding === 0) {
+        callback(firstError, firstError ? null : combine(results))
+      }
+    })
+  })
+}
+
+// Exports
+
+exports.check = check
+exports.multi = multi
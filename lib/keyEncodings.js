@@ -0,0 +1,99 @@
+// Copyright 2013 The Obvious Corporation
+
+var crypto = require('crypto')
+
+/**
+ * Characters which can't appear in a key sent to bloomd. Spaces separate
+ * arguments and line breaks separate commands, so a key containing them
+ * would be split, and every later response would be matched to the wrong command.
+ */
+var UNSAFE_CHARACTERS = /[\x00-\x20]/
+
+/**
+ * Ways of encoding keys so that they can be safely sent to bloomd.
+ *
+ * Each takes a key and returns the string to send, or throws if the key can't be sent.
+ * Encoded keys are what is stored in the filter, so a filter must always be used
+ * with the same encoding.
+ */
+var keyEncodings = {
+
+  /**
+   * Keys are sent as they are. Unsafe keys will corrupt the connection.
+   */
+  none: function (key) {
+    return String(key)
+  },
+
+  /**
+   * Keys are sent as they are, but unsafe keys are rejected.
+   */
+  reject: function (key) {
+    key = String(key)
+    _checkNotEmpty(key)
+    if (UNSAFE_CHARACTERS.test(key)) {
+      throw new Error('Key contains characters bloomd cannot accept: ' + JSON.stringify(key))
+    }
+    return key
+  },
+
+  /**
+   * Unsafe characters, and '%' itself, are percent-escaped. Other keys are unchanged.
+   */
+  percent: function (key) {
+    key = String(key)
+    _checkNotEmpty(key)
+    return key.replace(/[%\x00-\x20]/g, function (character) {
+      return encodeURIComponent(character)
+    })
+  },
+
+  /**
+   * Keys are sent base64 encoded.
+   */
+  base64: function (key) {
+    key = String(key)
+    _checkNotEmpty(key)
+    return Buffer.from(key).toString('base64')
+  },
+
+  /**
+   * Keys are sent as the hex md5 hash of the key. This also keeps long keys short.
+   */
+  hash: function (key) {
+    return crypto.createHash('md5').update(String(key)).digest('hex')
+  }
+}
+
+/**
+ * Returns the named key encoding, or the supplied function if it is one.
+ *
+ * @param {string|Function} keyEncoding
+ * @return {Function}
+ */
+function getKeyEncoding(keyEncoding) {
+  if (keyEncoding instanceof Function) {
+    return keyEncoding
+  }
+  var name = keyEncoding || 'none'
+  if (!keyEncodings.hasOwnProperty(name)) {
+    throw new Error('Unknown key encoding: ' + keyEncoding)
+  }
+  return keyEncodings[name]
+}
+
+/**
+ * Empty keys would leave a command missing an argument.
+ *
+ * @param {string} key
+ */
+function _checkNotEmpty(key) {
+  if (!key) {
+    throw new Error('Keys may not be empty')
+  }
+}
+
+// Exports
+
+exports.keyEncodings = keyEncodings
+exports.getKeyEncoding = getKeyEncoding
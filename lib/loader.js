@@ -0,0 +1,440 @@
+// Copyright 2013 The Obvious Corporation
+
+var fs = require('fs'),
+    stream = require('stream'),
+    StringDecoder = require('string_decoder').StringDecoder,
+    util = require('util'),
+    bloom = require('../index'),
+    errors = require('./errors')
+
+/**
+ * Exit statuses of the bloomd-load tool.
+ */
+var EXIT_OK = 0
+var EXIT_USAGE = 1
+var EXIT_FAILED = 2
+var EXIT_UNAVAILABLE = 3
+
+var USAGE = [
+  'Usage: bloomd-load [options] <filter> [file ...]',
+  '',
+  'Sets the keys in each file, or stdin if there are none or the file is -, in the filter,',
+  'creating it if it doesn\'t exist.',
+  '',
+  'Options:',
+  '  -h, --host <host>       The bloomd host [127.0.0.1]',
+  '  -p, --port <port>       The bloomd port [8673]',
+  '  -n, --namespace <name>  A prefix for every filter name',
+  '  -t, --timeout <ms>      The time to wait to connect, and for each reply [10000]',
+  '  -b, --batch-size <n>    The number of keys to set in each bulk command [1000]',
+  '  --key-encoding <name>   none, reject, percent, base64 or hash. reject fails the load on a key',
+  '                          with spaces or control characters [reject]',
+  '  --format <format>       lines, csv or json, for a JSON object per line [lines]',
+  '  --field <field>         The CSV column name or 0-based index, or the JSON property, of the key',
+  '  --capacity <n>          The capacity to create the filter with',
+  '  --prob <p>              The false positive probability to create the filter with',
+  '  --in-memory             Create the filter without disk backing',
+  '  --progress <ms>         The time between progress reports, or 0 for none [1000]',
+  '  --help                  Show this help',
+  '',
+  'Exits with 1 on bad options, 2 if the load fails, or 3 if bloomd becomes unavailable.'
+].join('\n')
+
+/**
+ * A transform stream which splits text into lines, and emits the key in each.
+ *
+ * Blank lines are ignored. Lines without a key, such as a JSON object without the field,
+ * or a line which can't be parsed, are counted in the skipped property.
+ *
+ * Options are:
+ *
+ * format ['lines'] 'lines' for a key per line, 'csv', or 'json' for a JSON object per line.
+ * field  [null]    For CSV, the column name, read from the first line, or its 0-based index.
+ *                    For JSON, the property of each object, which may be a dotted path.
+ *
+ * @param {Object} options
+ */
+function KeyParser(options) {
+  options = options || {}
+  stream.Transform.call(this, {readableObjectMode: true})
+
+  this.format = options.format || 'lines'
+  this.field = (options.field === undefined) ? null : options.field
+  this.columnIndex = /^\d+$/.test(this.field) ? Number(this.field) : null
+  this.decoder = new StringDecoder('utf8')
+  this.partial = ''
+  this.skipped = 0
+
+  if (['lines', 'csv', 'json'].indexOf(this.format) === -1) {
+    throw new Error('Unknown format: ' + this.format)
+  }
+  if (this.format !== 'lines' && this.field === null) {
+    throw new Error('The ' + this.format + ' format needs a field')
+  }
+}
+util.inherits(KeyParser, stream.Transform)
+
+/**
+ * Emits the keys in each complete line, holding back any partial line, and any
+ * partial character at the end of a buffer.
+ *
+ * @param {Buffer} chunk
+ * @param {string} encoding
+ * @param {Function} done
+ */
+KeyParser.prototype._transform = function (chunk, encoding, done) {
+  var lines = (this.partial + this.decoder.write(chunk)).split('\n')
+  this.partial = lines.pop()
+  try {
+    lines.forEach(this._parseLine, this)
+  } catch (err) {
+    done(err)
+    return
+  }
+  done()
+}
+
+/**
+ * Emits the key in a final line without a line break.
+ *
+ * @param {Function} done
+ */
+KeyParser.prototype._flush = function (done) {
+  try {
+    this._parseLine(this.partial + this.decoder.end())
+  } catch (err) {
+    done(err)
+    return
+  }
+  this.partial = ''
+  done()
+}
+
+/**
+ * Emits the key in a line. Throws if the CSV header doesn't have the field.
+ *
+ * @param {string} line
+ */
+KeyParser.prototype._parseLine = function (line) {
+  line = line.replace(/\r$/, '')
+  if (!line) {
+    return
+  }
+
+  var key = null
+  switch (this.format) {
+    case 'lines':
+      key = line
+      break
+
+    case 'csv':
+      var values = parseCsvLine(line)
+      if (this.columnIndex === null) {
+        // The first line names the columns.
+        this.columnIndex = values.indexOf(this.field)
+        if (this.columnIndex === -1) {
+          throw new Error('No column named ' + this.field)
+        }
+        return
+      }
+      key = values[this.columnIndex]
+      break
+
+    case 'json':
+      try {
+        key = this.field.split('.').reduce(function (value, property) {
+          return (value === null || value === undefined) ? null : value[property]
+        }, JSON.parse(line))
+      } catch (err) {
+        key = null
+      }
+      break
+  }
+
+  if (key === null || key === undefined || key === '' || typeof key === 'object') {
+    this.skipped++
+    return
+  }
+  this.push(String(key))
+}
+
+/**
+ * Splits a line of CSV into its values. Values may be quoted, with quotes
+ * within them doubled.
+ *
+ * @param {string} line
+ * @return {Array}
+ */
+function parseCsvLine(line) {
+  var values = []
+  var value = ''
+  var quoted = false
+
+  for (var i = 0; i < line.length; i++) {
+    var character = line[i]
+    if (quoted) {
+      if ('"' === character && '"' === line[i + 1]) {
+        value += '"'
+        i++
+      } else if ('"' === character) {
+        quoted = false
+      } else {
+        value += character
+      }
+    } else if ('"' === character) {
+      quoted = true
+    } else if (',' === character) {
+      values.push(value)
+      value = ''
+    } else {
+      value += character
+    }
+  }
+  values.push(value)
+  return values
+}
+
+/**
+ * Sets the keys read from each input in a filter, creating it if it doesn't exist.
+ *
+ * The data passed back to the callback is a summary of the load, as is passed to onProgress:
+ *
+ * keys    The keys set so far.
+ * added   The keys which were new to the filter.
+ * present The keys which were already in the filter.
+ * skipped The lines without a key.
+ * elapsed The time in ms since the load started.
+ * rate    The keys set per second.
+ *
+ * The load fails with an UnavailableError if the client becomes unavailable.
+ *
+ * Options are those of KeyParser, and:
+ *
+ * batchSize        [1000] The number of keys to set in each bulk command.
+ * createOptions    [{}]   The options to create the filter with.
+ * progressInterval [1000] The time in ms between calls to onProgress. 0 for none.
+ * onProgress       [null] A function called with a summary of the load so far.
+ *
+ * @param {BloomClient} client
+ * @param {string} filterName
+ * @param {Array} inputs Readable streams, read in turn.
+ * @param {Object} options
+ * @param {Function} callback
+ */
+function load(client, filterName, inputs, options, callback) {
+  var setStream = client.createSetStream(filterName, {
+    batchSize: options.batchSize || 1000,
+    safe: true,
+    createOptions: options.createOptions || {}
+  })
+  var parsers = []
+  var started = Date.now()
+  var progressTimer = null
+  var finished = false
+
+  function summary() {
+    var elapsed = Date.now() - started
+    var keys = setStream.added + setStream.present
+    return {
+      keys: keys,
+      added: setStream.added,
+      present: setStream.present,
+      skipped: parsers.reduce(function (skipped, parser) {
+        return skipped + parser.skipped
+      }, 0),
+      elapsed: elapsed,
+      rate: elapsed ? Math.round(keys * 1000 / elapsed) : 0
+    }
+  }
+
+  function finish(error) {
+    if (finished) {
+      return
+    }
+    finished = true
+    clearInterval(progressTimer)
+    client.removeListener('unavailable', onUnavailable)
+    callback(error || null, summary())
+  }
+
+  function onUnavailable() {
+    finish(new errors.UnavailableError('Bloomd became unavailable during the load'))
+  }
+
+  function readInput(index) {
+    if (index === inputs.length) {
+      setStream.end()
+      return
+    }
+
+    var parser
+    try {
+      parser = new KeyParser(options)
+    } catch (err) {
+      finish(err)
+      return
+    }
+    parsers.push(parser)
+    parser.on('error', finish)
+    parser.on('end', function () {
+      // Before Node 14, a parser which failed still ends.
+      if (!finished) {
+        readInput(index + 1)
+      }
+    })
+    inputs[index].on('error', finish)
+    inputs[index].pipe(parser).pipe(setStream, {end: false})
+  }
+
+  if (options.onProgress && options.progressInterval !== 0) {
+    progressTimer = setInterval(function () {
+      options.onProgress(summary())
+    }, options.progressInterval || 1000)
+  }
+
+  client.on('unavailable', onUnavailable)
+  setStream.on('error', finish)
+  setStream.on('finish', function () {
+    finish(null)
+  })
+  readInput(0)
+}
+
+/**
+ * Parses command line arguments into options.
+ *
+ * Throws if an option is unknown, or is missing its value, or there is no filter name.
+ *
+ * @param {Array} argv The arguments after the script name.
+ * @return {Object}
+ */
+function parseArgs(argv) {
+  var options = {
+    host: null,
+    port: null,
+    namespace: null,
+    timeout: 10000,
+    batchSize: 1000,
+    keyEncoding: 'reject',
+    format: 'lines',
+    field: undefined,
+    createOptions: {},
+    progressInterval: 1000,
+    filterName: null,
+    files: [],
+    help: false
+  }
+  var names = {
+    '-h': 'host', '--host': 'host',
+    '-p': 'port', '--port': 'port',
+    '-n': 'namespace', '--namespace': 'namespace',
+    '-t': 'timeout', '--timeout': 'timeout',
+    '-b': 'batchSize', '--batch-size': 'batchSize',
+    '--key-encoding': 'keyEncoding',
+    '--format': 'format',
+    '--field': 'field',
+    '--progress': 'progressInterval'
+  }
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i]
+    if ('--help' === arg) {
+      options.help = true
+    } else if ('--in-memory' === arg) {
+      options.createOptions.in_memory = 1
+    } else if ('--capacity' === arg || '--prob' === arg) {
+      if (i + 1 >= argv.length) {
+        throw new Error('Missing value for ' + arg)
+      }
+      options.createOptions[arg.slice(2)] = Number(argv[++i])
+    } else if (names[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error('Missing value for ' + arg)
+      }
+      options[names[arg]] = argv[++i]
+    } else if (arg.length > 1 && '-' === arg[0]) {
+      throw new Error('Unknown option: ' + arg)
+    } else if (null === options.filterName) {
+      options.filterName = arg
+    } else {
+      options.files.push(arg)
+    }
+  }
+
+  ;['port', 'timeout', 'batchSize', 'progressInterval'].forEach(function (name) {
+    if (options[name] !== null) {
+      options[name] = Number(options[name])
+      if (!(options[name] >= 0)) {
+        throw new Error(name + ' must be a number')
+      }
+    }
+  })
+  if (!bloom.keyEncodings.hasOwnProperty(options.keyEncoding)) {
+    throw new Error('Unknown key encoding: ' + options.keyEncoding)
+  }
+  if (!options.filterName && !options.help) {
+    throw new Error('Missing filter name')
+  }
+  return options
+}
+
+/**
+ * Runs the tool with command line arguments.
+ *
+ * @param {Array} argv The arguments after the script name.
+ */
+function main(argv) {
+  var options
+  try {
+    options = parseArgs(argv)
+  } catch (err) {
+    process.stderr.write(err.message + '\n\n' + USAGE + '\n')
+    process.exit(EXIT_USAGE)
+  }
+  if (options.help) {
+    process.stdout.write(USAGE + '\n')
+    return
+  }
+
+  var client = bloom.createClient({
+    host: options.host,
+    port: options.port,
+    namespace: options.namespace,
+    keyEncoding: options.keyEncoding,
+    connectTimeout: options.timeout,
+    commandTimeout: options.timeout
+  })
+  var inputs = (options.files.length ? options.files : ['-']).map(function (file) {
+    return ('-' === file) ? process.stdin : fs.createReadStream(file)
+  })
+
+  options.onProgress = function (progress) {
+    process.stderr.write('Set ' + progress.keys + ' keys (' + progress.rate + ' keys/s)\n')
+  }
+
+  load(client, options.filterName, inputs, options, function (error, summary) {
+    client.dispose()
+    if (error) {
+      var status = (error instanceof errors.UnavailableError) ? EXIT_UNAVAILABLE : EXIT_FAILED
+      process.stderr.write('Load failed after ' + summary.keys + ' keys: ' + error.message + '\n', function () {
+        process.exit(status)
+      })
+      return
+    }
+
+    process.stdout.write('Set ' + summary.keys + ' keys in ' + options.filterName + ' in ' +
+        (summary.elapsed / 1000).toFixed(1) + 's (' + summary.rate + ' keys/s): ' +
+        summary.added + ' new, ' + summary.present + ' already present, ' +
+        summary.skipped + ' skipped\n', function () {
+      process.exit(EXIT_OK)
+    })
+  })
+}
+
+// Exports
+
+exports.KeyParser = KeyParser
+exports.parseCsvLine = parseCsvLine
+exports.load = load
+exports.parseArgs = parseArgs
+exports.main = main
@@ -0,0 +1,67 @@
+// Copyright 2013 The Obvious Corporation
+
+/**
+ * Loggers receive the client's diagnostic output.
+ *
+ * A logger is an object with debug, info, warn and error methods, each of which
+ * is called with a message and an object of structured fields, such as host, port,
+ * command, filter and attempt. Any logger with these methods can be used, so output
+ * can go to an application's own logging.
+ */
+
+var LEVELS = ['debug', 'info', 'warn', 'error']
+
+/**
+ * Writes messages and their fields to the console. Used when the debug option is set.
+ */
+var consoleLogger = {
+  debug: function (message, fields) {
+    console.log(message, fields)
+  },
+  info: function (message, fields) {
+    console.log(message, fields)
+  },
+  warn: function (message, fields) {
+    console.warn(message, fields)
+  },
+  error: function (message, fields) {
+    console.error(message, fields)
+  }
+}
+
+/**
+ * Discards everything. Used by default.
+ */
+var nullLogger = {
+  debug: function () {},
+  info: function () {},
+  warn: function () {},
+  error: function () {}
+}
+
+/**
+ * Returns the logger for a client's options: the logger option if there is one, otherwise
+ * the console logger if the debug option is set, or the null logger if not.
+ *
+ * @param {Object} options
+ * @return {Object}
+ */
+function getLogger(options) {
+  var logger = options.logger
+  if (!logger) {
+    return options.debug ? consoleLogger : nullLogger
+  }
+
+  LEVELS.forEach(function (level) {
+    if (!(logger[level] instanceof Function)) {
+      throw new Error('Logger has no ' + level + ' method')
+    }
+  })
+  return logger
+}
+
+// Exports
+
+exports.consoleLogger = consoleLogger
+exports.nullLogger = nullLogger
+exports.getLogger = getLogger
@@ -0,0 +1,516 @@
+// Copyright 2013 The Obvious Corporation
+
+var net = require('net'),
+    events = require('events'),
+    util = require('util'),
+    validation = require('./validation')
+
+/**
+ * Command aliases understood by bloomd.
+ */
+var ALIASES = {
+  b: 'bulk',
+  c: 'check',
+  m: 'multi',
+  s: 'set'
+}
+
+/**
+ * Defaults used by a bloomd server with default configuration.
+ */
+var DEFAULT_CAPACITY = 100000
+var DEFAULT_PROBABILITY = 0.0001
+
+/**
+ * A filter held by the mock server.
+ *
+ * Keys are stored exactly, so unlike a real bloom filter, there are
+ * never any false positives.
+ *
+ * @param {number} capacity
+ * @param {number} probability
+ * @param {boolean} inMemory
+ */
+function MockFilter(capacity, probability, inMemory) {
+  this.capacity = capacity
+  this.probability = probability
+  this.inMemory = inMemory
+  this.keys = {}
+  this.size = 0
+  this.closed = false
+  this.checks = 0
+  this.checkHits = 0
+  this.checkMisses = 0
+  this.sets = 0
+  this.setHits = 0
+  this.setMisses = 0
+  this.pageIns = 0
+  this.pageOuts = 0
+}
+
+/**
+ * Checks for a key, returning 'Yes' or 'No'.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+MockFilter.prototype.check = function (key) {
+  this._pageIn()
+  this.checks++
+  if (Object.prototype.hasOwnProperty.call(this.keys, key)) {
+    this.checkHits++
+    return 'Yes'
+  }
+  this.checkMisses++
+  return 'No'
+}
+
+/**
+ * Sets a key, returning 'Yes' if it was newly set, or 'No' if it was already present.
+ *
+ * @param {string} key
+ * @return {string}
+ */
+MockFilter.prototype.set = function (key) {
+  this._pageIn()
+  this.sets++
+  if (Object.prototype.hasOwnProperty.call(this.keys, key)) {
+    this.setMisses++
+    return 'No'
+  }
+  this.keys[key] = true
+  this.size++
+  this.setHits++
+
+  // Like bloomd's scalable filters, grow when full.
+  while (this.size > this.capacity) {
+    this.capacity *= 4
+  }
+  return 'Yes'
+}
+
+/**
+ * The approximate number of bytes a real filter of this size would use.
+ *
+ * @return {number}
+ */
+MockFilter.prototype.storage = function () {
+  var bits = -this.capacity * Math.log(this.probability) / (Math.LN2 * Math.LN2)
+  return Math.ceil(bits / 8)
+}
+
+/**
+ * Closing a filter pages it out. The next access pages it back in.
+ */
+MockFilter.prototype.close = function () {
+  if (!this.closed) {
+    this.closed = true
+    this.pageOuts++
+  }
+}
+
+MockFilter.prototype._pageIn = function () {
+  if (this.closed) {
+    this.closed = false
+    this.pageIns++
+  }
+}
+
+/**
+ * An in-process server which speaks bloomd's text protocol.
+ *
+ * Useful for testing code which uses node-bloomd without needing a
+ * bloomd installation. Filters survive the server being closed and
+ * listened again, just as they survive a bloomd restart.
+ *
+ * Options are:
+ *
+ * dropDelay [0] The time in ms for which a dropped filter is still being deleted.
+ *                 Creating a filter with the same name in this time fails, as with bloomd.
+ *
+ * @param {Object} options
+ */
+function MockBloomdServer(options) {
+  this.options = options || {}
+  this.dropDelay = this.options.dropDelay || 0
+  this.filters = {}
+  this.deleting = {}
+  this.errorsToInject = 0
+  this.errorsToSkip = 0
+  this.stalled = false
+  this.commandsReceived = 0
+  this.server = null
+  this.sockets = []
+
+  events.EventEmitter.call(this)
+}
+util.inherits(MockBloomdServer, events.EventEmitter)
+
+/**
+ * Starts listening for connections.
+ *
+ * @param {number} port
+ * @param {string} host
+ * @param {Function} callback
+ */
+MockBloomdServer.prototype.listen = function (port, host, callback) {
+  var self = this
+  this.server = net.createServer(function (socket) {
+    self._onConnection(socket)
+  })
+  this.server.on('error', function (error) {
+    self.emit('error', error)
+  })
+  this.server.listen(port, host, function () {
+    self.emit('listening')
+    if (callback) {
+      callback()
+    }
+  })
+}
+
+/**
+ * The address the server is listening on.
+ *
+ * @return {Object}
+ */
+MockBloomdServer.prototype.address = function () {
+  return this.server ? this.server.address() : null
+}
+
+/**
+ * Stops listening, and drops all current connections.
+ *
+ * @param {Function} callback
+ */
+MockBloomdServer.prototype.close = function (callback) {
+  var server = this.server
+  this.server = null
+  while (this.sockets.length) {
+    this.sockets.shift().destroy()
+  }
+  if (!server) {
+    if (callback) {
+      process.nextTick(callback)
+    }
+    return
+  }
+  server.close(callback)
+}
+
+/**
+ * Discards all filters.
+ */
+MockBloomdServer.prototype.reset = function () {
+  this.filters = {}
+  this.deleting = {}
+  this.errorsToInject = 0
+  this.errorsToSkip = 0
+  this.stalled = false
+}
+
+/**
+ * Causes the next count commands to be answered with 'Internal Error',
+ * optionally after answering a number of commands normally.
+ *
+ * @param {number} count
+ * @param {number} after
+ */
+MockBloomdServer.prototype.failNext = function (count, after) {
+  this.errorsToInject = (count === undefined) ? 1 : count
+  this.errorsToSkip = after || 0
+}
+
+/**
+ * Stops the server from responding, while keeping connections open, as a
+ * hung bloomd would. Commands received while stalled are never answered.
+ */
+MockBloomdServer.prototype.stall = function () {
+  this.stalled = true
+}
+
+/**
+ * Responds to commands again after a stall.
+ */
+MockBloomdServer.prototype.resume = function () {
+  this.stalled = false
+}
+
+/**
+ * Handles a new client connection.
+ *
+ * @param {net.Socket} socket
+ */
+MockBloomdServer.prototype._onConnection = function (socket) {
+  var self = this
+  var buffered = ''
+
+  this.sockets.push(socket)
+  this.emit('connection', socket)
+
+  socket.setEncoding('utf8')
+  socket.on('data', function (chunk) {
+    var start = 0
+    var end = chunk.indexOf('\n')
+    var responses = []
+
+    while (end !== -1) {
+      var line = buffered + chunk.slice(start, end)
+      buffered = ''
+      start = end + 1
+      end = chunk.indexOf('\n', start)
+
+      if ('\r' === line[line.length - 1]) {
+        line = line.slice(0, -1)
+      }
+      if (line && !self.stalled) {
+        responses.push(self.execute(line))
+      }
+    }
+    buffered += chunk.slice(start)
+
+    if (responses.length) {
+      socket.write(responses.join('\n') + '\n')
+    }
+  })
+
+  socket.on('error', function () {
+    // Clients going away are not the server's problem.
+  })
+
+  socket.on('close', function () {
+    var index = self.sockets.indexOf(socket)
+    if (index !== -1) {
+      self.sockets.splice(index, 1)
+    }
+  })
+}
+
+/**
+ * Executes a single line of the protocol, returning the response without
+ * a trailing newline.
+ *
+ * @param {string} line
+ * @return {string}
+ */
+MockBloomdServer.prototype.execute = function (line) {
+  var args = line.split(' ')
+  var commandName = ALIASES[args[0]] || args[0]
+  var filterName = args[1]
+
+  this.commandsReceived++
+  this.emit('command', commandName, args.slice(1))
+
+  if (this.errorsToSkip > 0) {
+    this.errorsToSkip--
+  } else if (this.errorsToInject > 0) {
+    this.errorsToInject--
+    return 'Internal Error'
+  }
+
+  switch (commandName) {
+    case 'create':
+      return this._create(filterName, args.slice(2))
+
+    case 'list':
+      return this._list(filterName)
+
+    case 'flush':
+      if (filterName && !this.filters[filterName]) {
+        return 'Filter does not exist'
+      }
+      return 'Done'
+  }
+
+  if (!filterName) {
+    return 'Client Error: Must provide filter name'
+  }
+
+  var filter = this.filters[filterName]
+
+  switch (commandName) {
+    case 'drop':
+      return this._drop(filterName)
+
+    case 'close':
+      if (!filter) {
+        return 'Filter does not exist'
+      }
+      filter.close()
+      return 'Done'
+
+    case 'clear':
+      if (!filter) {
+        return 'Filter does not exist'
+      }
+      if (!filter.closed) {
+        return 'Filter is not proxied. Close it first.'
+      }
+      delete this.filters[filterName]
+      return 'Done'
+
+    case 'info':
+      if (!filter) {
+        return 'Filter does not exist'
+      }
+      return this._info(filter)
+
+    case 'check':
+    case 'set':
+      if (args.length !== 3) {
+        return 'Client Error: Must provide filter name and key'
+      }
+      if (!filter) {
+        return 'Filter does not exist'
+      }
+      return filter[commandName](args[2])
+
+    case 'multi':
+    case 'bulk':
+      if (args.length < 3) {
+        return 'Client Error: Must provide filter name and at least one key'
+      }
+      if (!filter) {
+        return 'Filter does not exist'
+      }
+      var method = ('multi' === commandName) ? 'check' : 'set'
+      var results = new Array(args.length - 2)
+      for (var i = 2, l = args.length; i < l; i++) {
+        results[i - 2] = filter[method](args[i])
+      }
+      return results.join(' ')
+
+    default:
+      return 'Client Error: Command not supported'
+  }
+}
+
+/**
+ * Creates a filter.
+ *
+ * @param {string} filterName
+ * @param {Array} options key=value pairs
+ * @return {string}
+ */
+MockBloomdServer.prototype._create = function (filterName, options) {
+  if (!filterName) {
+    return 'Client Error: Must provide filter name'
+  }
+  if (!validation.VALID_FILTER_NAME.test(filterName)) {
+    return 'Client Error: Bad filter name'
+  }
+
+  var capacity = DEFAULT_CAPACITY
+  var probability = DEFAULT_PROBABILITY
+  var inMemory = false
+
+  for (var i = 0, l = options.length; i < l; i++) {
+    var pair = options[i].split('=')
+    var value = Number(pair[1])
+    switch (pair[0]) {
+      case 'capacity':
+        capacity = value
+        break
+      case 'prob':
+        probability = value
+        break
+      case 'in_memory':
+        inMemory = (value === 1)
+        if (value !== 0 && value !== 1) {
+          return 'Client Error: Bad arguments'
+        }
+        break
+      default:
+        return 'Client Error: Bad arguments'
+    }
+  }
+
+  if (!(capacity >= 10000) || !(probability > 0 && probability < 1)) {
+    return 'Client Error: Bad arguments'
+  }
+
+  if (this.deleting[filterName]) {
+    return 'Delete in progress'
+  }
+  if (this.filters[filterName]) {
+    return 'Exists'
+  }
+
+  this.filters[filterName] = new MockFilter(capacity, probability, inMemory)
+  return 'Done'
+}
+
+/**
+ * Drops a filter, which remains in the process of deletion for dropDelay ms.
+ *
+ * @param {string} filterName
+ * @return {string}
+ */
+MockBloomdServer.prototype._drop = function (filterName) {
+  if (!this.filters[filterName]) {
+    return 'Filter does not exist'
+  }
+  delete this.filters[filterName]
+
+  if (this.dropDelay) {
+    var self = this
+    var deleting = this.deleting[filterName] = setTimeout(function () {
+      if (self.deleting[filterName] === deleting) {
+        delete self.deleting[filterName]
+      }
+    }, this.dropDelay)
+    if (deleting.unref) {
+      deleting.unref()
+    }
+  }
+  return 'Done'
+}
+
+/**
+ * Lists filters, optionally matching a prefix.
+ *
+ * @param {string} prefix
+ * @return {string}
+ */
+MockBloomdServer.prototype._list = function (prefix) {
+  var lines = ['START']
+  for (var filterName in this.filters) {
+    if (prefix && filterName.indexOf(prefix) !== 0) {
+      continue
+    }
+    var filter = this.filters[filterName]
+    lines.push([filterName, filter.probability.toFixed(6), filter.storage(), filter.capacity, filter.size].join(' '))
+  }
+  lines.push('END')
+  return lines.join('\n')
+}
+
+/**
+ * Describes a filter.
+ *
+ * @param {MockFilter} filter
+ * @return {string}
+ */
+MockBloomdServer.prototype._info = function (filter) {
+  return [
+    'START',
+    'capacity ' + filter.capacity,
+    'checks ' + filter.checks,
+    'check_hits ' + filter.checkHits,
+    'check_misses ' + filter.checkMisses,
+    'in_memory ' + (filter.inMemory ? 1 : 0),
+    'page_ins ' + filter.pageIns,
+    'page_outs ' + filter.pageOuts,
+    'probability ' + filter.probability.toFixed(6),
+    'sets ' + filter.sets,
+    'set_hits ' + filter.setHits,
+    'set_misses ' + filter.setMisses,
+    'size ' + filter.size,
+    'storage ' + filter.storage(),
+    'END'
+  ].join('\n')
+}
+
+// Exports
+
+exports.MockBloomdServer = MockBloomdServer
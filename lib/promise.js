@@ -0,0 +1,63 @@
+// Copyright 2013 The Obvious Corporation
+
+/**
+ * Returns a version of the supplied method which returns a Promise when it is
+ * called without a callback.
+ *
+ * @param {Function} method
+ * @param {number} callbackIndex The position of the callback in the method's arguments.
+ * @return {Function}
+ */
+function withPromise(method, callbackIndex) {
+  return function () {
+    var args = Array.prototype.slice.call(arguments, 0)
+    if (args[callbackIndex] instanceof Function) {
+      return method.apply(this, args)
+    }
+    return promise(method, this, args, callbackIndex)
+  }
+}
+
+/**
+ * Makes each of the named methods of a prototype return a Promise when called without
+ * a callback.
+ *
+ * @param {Object} prototype
+ * @param {Object} callbackPositions Maps each method name to the position of its callback argument.
+ */
+function withPromises(prototype, callbackPositions) {
+  for (var methodName in callbackPositions) {
+    prototype[methodName] = withPromise(prototype[methodName], callbackPositions[methodName])
+  }
+}
+
+/**
+ * Invokes a callback-style method, returning a Promise which is settled
+ * by the callback it is given.
+ *
+ * Errors are passed through untouched, so still carry their command property.
+ *
+ * @param {Function} method
+ * @param {Object} context
+ * @param {Array} args
+ * @param {number} callbackIndex The position of the callback in the method's arguments.
+ * @return {Promise}
+ */
+function promise(method, context, args, callbackIndex) {
+  return new Promise(function (resolve, reject) {
+    args[callbackIndex] = function (error, data) {
+      if (error) {
+        reject(error)
+      } else {
+        resolve(data)
+      }
+    }
+    method.apply(context, args)
+  })
+}
+
+// Exports
+
+exports.withPromise = withPromise
+exports.withPromises = withPromises
+exports.promise = promise
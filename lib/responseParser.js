@@ -1,16 +1,36 @@
 // Copyright 2013 The Obvious Corporation
 
 var stream = require('stream'),
-    util = require('util')
+    util = require('util'),
+    errors = require('./errors')
+
+/**
+ * Units in which bloomd may report storage, as multiples of a byte.
+ */
+var STORAGE_UNITS = {
+  '': 1,
+  B: 1,
+  K: 1024,
+  KB: 1024,
+  M: 1024 * 1024,
+  MB: 1024 * 1024,
+  G: 1024 * 1024 * 1024,
+  GB: 1024 * 1024 * 1024
+}
 
 /**
  * A named bloom filter object.
+ *
+ * Fields are numbers, storage is in bytes, and inMemory is a boolean. A list
+ * only describes the name, probability, storage, capacity and size, so the other
+ * fields are null for filters from a list.
  */
 function BloomFilter() {
   this.capacity = null
   this.checks = null
   this.checkHits = null
   this.checkMisses = null
+  this.inMemory = null
   this.name = null
   this.pageIns = null
   this.pageOuts = null
@@ -22,6 +42,89 @@ function BloomFilter() {
   this.storage = null
 }
 
+/**
+ * Sets a field from its value in a bloomd response.
+ *
+ * @param {string} field
+ * @param {string} value
+ */
+BloomFilter.prototype.setField = function (field, value) {
+  if ('storage' === field) {
+    this.storage = _parseBytes(value)
+  } else if ('inMemory' === field) {
+    this.inMemory = ('1' === value)
+  } else if ('name' === field || isNaN(Number(value))) {
+    this[field] = value
+  } else {
+    this[field] = Number(value)
+  }
+}
+
+Object.defineProperties(BloomFilter.prototype, {
+
+  /**
+   * The proportion of the filter's capacity which has been used.
+   */
+  fillRatio: {
+    get: function () {
+      return _ratio(this.size, this.capacity)
+    }
+  },
+
+  /**
+   * The estimated probability of a false positive at the filter's current size, which
+   * rises to the configured probability as the filter fills up. Assumes the optimal
+   * number of hash functions for the configured probability.
+   */
+  estimatedFalsePositiveRate: {
+    get: function () {
+      var fillRatio = this.fillRatio
+      if (fillRatio === null || !this.probability) {
+        return null
+      }
+      var hashes = -Math.log(this.probability) / Math.LN2
+      return Math.pow(1 - Math.pow(2, -fillRatio), hashes)
+    }
+  },
+
+  /**
+   * The proportion of checks which found their key.
+   */
+  checkHitRate: {
+    get: function () {
+      return _ratio(this.checkHits, this.checks)
+    }
+  },
+
+  /**
+   * The proportion of sets which added a new key.
+   */
+  setHitRate: {
+    get: function () {
+      return _ratio(this.setHits, this.sets)
+    }
+  }
+})
+
+/**
+ * Returns the fields and derived statistics as a plain object.
+ *
+ * @return {Object}
+ */
+BloomFilter.prototype.toJSON = function () {
+  var json = {}
+  for (var field in this) {
+    if (this.hasOwnProperty(field)) {
+      json[field] = this[field]
+    }
+  }
+  json.fillRatio = this.fillRatio
+  json.estimatedFalsePositiveRate = this.estimatedFalsePositiveRate
+  json.checkHitRate = this.checkHitRate
+  json.setHitRate = this.setHitRate
+  return json
+}
+
 /**
  * A parser for data returned by bloomd
  *
@@ -119,6 +222,9 @@ ResponseParser.isError = function (data) {
 /**
  * Parses a Yes/No response from bloomd into a boolean.
  *
+ * Unexpected responses throw a FilterNotFoundError or a ProtocolError, as do
+ * those of the parsers which follow.
+ *
  * @param {string} data
  * @return {bool}
  */
@@ -128,7 +234,7 @@ ResponseParser.parseBool = function (data) {
   } else if ('No' === data) {
     return false
   } else {
-    throw new Error(data)
+    throw errors.fromReply(data)
   }
 }
 
@@ -150,7 +256,7 @@ ResponseParser.parseBoolList = function (data, keys) {
     }
   } catch (err) {
     // If there was an error parsing a bool, make the entire line available for debugging.
-    throw new Error(data)
+    throw errors.fromReply(data)
   }
 
   return results
@@ -166,14 +272,15 @@ ResponseParser.parseConfirmation = function (data) {
   if ('Done' === data) {
     return true
   } else {
-    throw new Error(data)
+    throw errors.fromReply(data)
   }
 }
 
 /**
  * Parses a Done response from bloomd into a boolean, following a create command.
  *
- * For create commands, we don't care if the filter already existed.
+ * For create commands, we don't care if the filter already existed. Other
+ * responses throw a CreateFailedError.
  *
  * @param {string} data
  * @return {bool}
@@ -182,7 +289,7 @@ ResponseParser.parseCreateConfirmation = function (data) {
   if ('Done' === data || 'Exists' === data) {
     return true
   } else {
-    throw new Error(data)
+    throw new errors.CreateFailedError(data)
   }
 }
 
@@ -198,28 +305,34 @@ ResponseParser.parseDropConfirmation = function (data) {
   if ('Done' === data || 'Filter does not exist' === data) {
     return true
   } else {
-    throw new Error(data)
+    throw errors.fromReply(data)
   }
 }
 
 /**
  * Parses a list of filter definitions into an array of BloomFilter objects.
  *
+ * If there is a namespace, filters outside it are left out, and it is stripped from the names of the rest.
+ *
  * @param {Array} data
+ * @param {string} namespace
  * @return {Array}
  */
-ResponseParser.parseFilterList = function (data) {
+ResponseParser.parseFilterList = function (data, namespace) {
   if (!Array.isArray(data)) {
-    throw new Error(data)
+    throw errors.fromReply(data)
   }
-  return data.map(function(item) {
-    var definition = item.split(' ')
+  namespace = namespace || ''
+  return data.filter(function (item) {
+    return item.indexOf(namespace) === 0
+  }).map(function(item) {
+    var definition = item.slice(namespace.length).split(' ')
     var filter = new BloomFilter()
-    filter.name = definition[0]
-    filter.probability = definition[1]
-    filter.storage = definition[2]
-    filter.capacity = definition[3]
-    filter.size = definition[4]
+    filter.setField('name', definition[0])
+    filter.setField('probability', definition[1])
+    filter.setField('storage', definition[2])
+    filter.setField('capacity', definition[3])
+    filter.setField('size', definition[4])
     return filter
   })
 }
@@ -232,17 +345,48 @@ ResponseParser.parseFilterList = function (data) {
  */
 ResponseParser.parseInfo = function (data, name) {
   if (!Array.isArray(data)) {
-    throw new Error(data)
+    throw errors.fromReply(data)
   }
   var filter = new BloomFilter()
   for (var i = 0, l = data.length; i < l; i++) {
     var definition = data[i].split(' ')
-    filter[definition[0].replace(/_([a-z])/g, function (g) { return g[1].toUpperCase() })] = definition[1]
+    filter.setField(definition[0].replace(/_([a-z])/g, function (g) { return g[1].toUpperCase() }), definition[1])
   }
   filter.name = name
   return filter
 }
 
+// Helper Functions
+
+/**
+ * Parses a storage size, which may have a unit, into bytes.
+ *
+ * @param {string} value
+ * @return {number}
+ */
+function _parseBytes(value) {
+  var match = /^([\d.]+)\s*([a-zA-Z]*)$/.exec(value)
+  if (!match || !STORAGE_UNITS.hasOwnProperty(match[2].toUpperCase())) {
+    return Number(value)
+  }
+  return Math.round(Number(match[1]) * STORAGE_UNITS[match[2].toUpperCase()])
+}
+
+/**
+ * Divides two fields, or returns null if either is unknown or the divisor is 0.
+ *
+ * @param {number} numerator
+ * @param {number} denominator
+ * @return {number}
+ */
+function _ratio(numerator, denominator) {
+  if (numerator === null || !denominator) {
+    return null
+  }
+  return numerator / denominator
+}
+
 // Exports
 
 exports.ResponseParser = ResponseParser
+exports.BloomFilter = BloomFilter
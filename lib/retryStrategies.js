@@ -0,0 +1,108 @@
+// Copyright 2013 The Obvious Corporation
+
+/**
+ * Strategies for deciding how long to wait between reconnection attempts.
+ *
+ * A strategy is a function which is called before each reconnection attempt with:
+ *
+ * attempt   The number of attempts made since the connection was lost.
+ * elapsed   The time in ms since the connection was lost.
+ * lastError The most recent error from the connection, if there was one.
+ * lastDelay The delay returned for the previous attempt, or 0 for the first.
+ *
+ * It returns the time in ms to wait before the next attempt, or STOP to give
+ * up and mark the client as unavailable.
+ *
+ * Strategies are stateless, so the same one can be shared by many clients.
+ */
+
+/**
+ * Returned by a strategy to stop reconnecting.
+ */
+var STOP = false
+
+/**
+ * Waits an additional delay for each attempt, up to a maximum.
+ *
+ * Uncapped, with a delay of 160, this is the default behaviour: [160, 320, 480, ...]
+ *
+ * delay [160]      The additional time in ms to wait for each attempt.
+ * max   [Infinity] The most time in ms to wait between attempts.
+ *
+ * @param {Object} options
+ * @return {Function}
+ */
+function cappedLinear(options) {
+  options = options || {}
+  var delay = _option(options.delay, 160)
+  var max = _option(options.max, Infinity)
+
+  return function (attempt) {
+    return Math.min(max, attempt * delay)
+  }
+}
+
+/**
+ * Multiplies the delay by a factor for each attempt, up to a maximum.
+ *
+ * With the defaults: [100, 200, 400, 800, ...]
+ *
+ * base   [100]   The time in ms to wait before the first attempt.
+ * factor [2]     The multiplier for each subsequent attempt.
+ * max    [30000] The most time in ms to wait between attempts.
+ *
+ * @param {Object} options
+ * @return {Function}
+ */
+function exponential(options) {
+  options = options || {}
+  var base = _option(options.base, 100)
+  var factor = _option(options.factor, 2)
+  var max = _option(options.max, 30000)
+
+  return function (attempt) {
+    return Math.min(max, base * Math.pow(factor, Math.max(attempt - 1, 0)))
+  }
+}
+
+/**
+ * Waits a random time between the base and three times the previous delay,
+ * up to a maximum. This grows roughly exponentially, while spreading out the
+ * reconnections of many clients which lost their connections at the same time.
+ *
+ * See https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ *
+ * base [100]   The least time in ms to wait between attempts.
+ * max  [30000] The most time in ms to wait between attempts.
+ *
+ * @param {Object} options
+ * @return {Function}
+ */
+function decorrelatedJitter(options) {
+  options = options || {}
+  var base = _option(options.base, 100)
+  var max = _option(options.max, 30000)
+
+  return function (attempt, elapsed, lastError, lastDelay) {
+    var upper = Math.max(base, (lastDelay || base) * 3)
+    return Math.min(max, base + Math.floor(Math.random() * (upper - base)))
+  }
+}
+
+/**
+ * Returns the option, or the default if it wasn't supplied.
+ *
+ * @param {number} value
+ * @param {number} defaultValue
+ * @return {number}
+ */
+function _option(value, defaultValue) {
+  return (value === undefined || value === null) ? defaultValue : value
+}
+
+// Exports
+
+exports.STOP = STOP
+exports.cappedLinear = cappedLinear
+exports.exponential = exponential
+exports.decorrelatedJitter = decorrelatedJitter
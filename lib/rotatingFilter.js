@@ -0,0 +1,255 @@
+// Copyright 2013 The Obvious Corporation
+
+var events = require('events'),
+    util = require('util'),
+    filterGroup = require('./filterGroup'),
+    promise = require('./promise')
+
+var DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Matches the time part of a window filter's name: YYYY_MM_DD, optionally followed by _HH_MM_SS.
+ */
+var WINDOW_TIME = /^(\d{4})_(\d{2})_(\d{2})(?:_(\d{2})_(\d{2})_(\d{2}))?$/
+
+/**
+ * A filter of the keys set in a recent period, such as the last 7 days, made up of
+ * a filter for each window of time.
+ *
+ * Keys are set in the current window's filter, which is created when first used. A key
+ * is found if it is in any of the last windowCount windows, including the current one.
+ * Checks are sent to all of those windows at once. Filters for older windows are dropped
+ * every rotationInterval, and whenever rotate() is called.
+ *
+ * After each scheduled rotation, emits 'rotated' with the names of the dropped filters,
+ * or 'rotationError' with the error if it failed.
+ *
+ * Window filters are named after the UTC start of their window: name_YYYY_MM_DD for
+ * windows of whole days, otherwise name_YYYY_MM_DD_HH_MM_SS. Windows start at multiples
+ * of windowSize since the epoch.
+ *
+ * Options are:
+ *
+ * windowSize       [1 day]  The length of each window in ms.
+ * windowCount      [7]      The number of windows which are checked.
+ * createOptions    [{}]     The options to create each window's filter with.
+ * rotationInterval [1 hour] The time in ms between drops of old windows. 0 to only drop them
+ *                             when rotate() is called.
+ * now              [Date.now] A function returning the current time in ms.
+ *
+ * @param {BloomClient} client
+ * @param {string} name
+ * @param {Object} options
+ */
+function RotatingFilter(client, name, options) {
+  options = options || {}
+  this.client = client
+  this.name = name
+  this.windowSize = options.windowSize || DAY
+  this.windowCount = options.windowCount || 7
+  this.createOptions = options.createOptions || {}
+  this.now = options.now || Date.now
+  this.rotationTimer = null
+
+  events.EventEmitter.call(this)
+
+  var rotationInterval = (options.rotationInterval === undefined) ? 60 * 60 * 1000 : options.rotationInterval
+  if (rotationInterval) {
+    var self = this
+    this.rotationTimer = setInterval(function () {
+      self.rotate(function (error, dropped) {
+        if (error) {
+          self.emit('rotationError', error)
+        } else {
+          self.emit('rotated', dropped)
+        }
+      })
+    }, rotationInterval)
+    this.rotationTimer.unref()
+  }
+}
+util.inherits(RotatingFilter, events.EventEmitter)
+
+// API
+
+/**
+ * Returns the names of the filters for the windows which are checked, newest first.
+ *
+ * @return {Array}
+ */
+RotatingFilter.prototype.windowNames = function () {
+  var current = this._windowStart(this.now())
+  var names = []
+  for (var i = 0; i < this.windowCount; i++) {
+    names.push(this._windowName(current - i * this.windowSize))
+  }
+  return names
+}
+
+/**
+ * Sets a key in the current window.
+ *
+ * The data passed back to the callback will be true if the key was new to the current window.
+ *
+ * @param {string} key
+ * @param {Function} callback
+ */
+RotatingFilter.prototype.set = function (key, callback) {
+  this.client.setSafe(this.windowNames()[0], key, callback, this.createOptions)
+}
+
+/**
+ * Sets multiple keys in the current window.
+ *
+ * @param {Array} keys
+ * @param {Function} callback
+ */
+RotatingFilter.prototype.bulk = function (keys, callback) {
+  this.client.bulkSafe(this.windowNames()[0], keys, callback, this.createOptions)
+}
+
+/**
+ * Checks whether a key is in any of the windows. Windows whose filters don't exist
+ * yet, or have been dropped, hold no keys.
+ *
+ * @param {string} key
+ * @param {Function} callback
+ */
+RotatingFilter.prototype.check = function (key, callback) {
+  filterGroup.check(this.client, this.windowNames(), key, callback)
+}
+
+/**
+ * Checks whether each of multiple keys is in any of the windows.
+ *
+ * The data passed back to the callback will be an object map of each key to
+ * whether it was found in any window.
+ *
+ * @param {Array} keys
+ * @param {Function} callback
+ */
+RotatingFilter.prototype.multi = function (keys, callback) {
+  filterGroup.multi(this.client, this.windowNames(), keys, callback)
+}
+
+/**
+ * Drops the filters of windows older than those which are checked.
+ *
+ * The data passed back to the callback will be the names of the dropped filters.
+ *
+ * @param {Function} callback
+ */
+RotatingFilter.prototype.rotate = function (callback) {
+  var self = this
+  var oldest = this._windowStart(this.now()) - (this.windowCount - 1) * this.windowSize
+
+  this.client.list(this.name + '_', function (error, filters) {
+    if (error) {
+      callback(error, null)
+      return
+    }
+
+    var expired = filters.map(function (filter) {
+      return filter.name
+    }).filter(function (filterName) {
+      var start = self._parseWindowName(filterName)
+      return (start !== null) && (start < oldest)
+    })
+
+    var outstanding = expired.length
+    var firstError = null
+    if (!outstanding) {
+      callback(null, expired)
+      return
+    }
+    expired.forEach(function (filterName) {
+      self.client.drop(filterName, function (error) {
+        firstError = firstError || error
+        if (--outstanding === 0) {
+          callback(firstError, firstError ? null : expired)
+        }
+      })
+    })
+  })
+}
+
+/**
+ * Stops dropping old windows on a schedule.
+ */
+RotatingFilter.prototype.dispose = function () {
+  if (this.rotationTimer) {
+    clearInterval(this.rotationTimer)
+    this.rotationTimer = null
+  }
+}
+
+/**
+ * Commands return a Promise when called without a callback.
+ * Maps each command to the position of its callback argument.
+ */
+var _callbackPositions = {
+  set: 1,
+  bulk: 1,
+  check: 1,
+  multi: 1,
+  rotate: 0
+}
+promise.withPromises(RotatingFilter.prototype, _callbackPositions)
+
+// Private Methods
+
+/**
+ * Returns the start of the window containing the time.
+ *
+ * @param {number} time
+ * @return {number}
+ */
+RotatingFilter.prototype._windowStart = function (time) {
+  return Math.floor(time / this.windowSize) * this.windowSize
+}
+
+/**
+ * Returns the name of the filter for the window starting at the time.
+ *
+ * @param {number} start
+ * @return {string}
+ */
+RotatingFilter.prototype._windowName = function (start) {
+  var date = new Date(start)
+  var parts = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]
+  if (this.windowSize % DAY) {
+    parts.push(date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds())
+  }
+  return this.name + '_' + parts.map(_pad).join('_')
+}
+
+/**
+ * Returns the start of the window a filter is for, or null if it isn't one of this filter's windows.
+ *
+ * @param {string} filterName
+ * @return {number}
+ */
+RotatingFilter.prototype._parseWindowName = function (filterName) {
+  var prefix = this.name + '_'
+  var match = (filterName.indexOf(prefix) === 0) && WINDOW_TIME.exec(filterName.slice(prefix.length))
+  if (!match) {
+    return null
+  }
+  return Date.UTC(match[1], match[2] - 1, match[3], match[4] || 0, match[5] || 0, match[6] || 0)
+}
+
+// Helper Functions
+
+/**
+ * Pads a date part to two digits.
+ *
+ * @param {number} value
+ * @return {string}
+ */
+function _pad(value) {
+  return (value < 10 ? '0' : '') + value
+}
+
+// Exports
+
+exports.RotatingFilter = RotatingFilter
@@ -0,0 +1,347 @@
+// Copyright 2013 The Obvious Corporation
+
+var events = require('events'),
+    util = require('util'),
+    errors = require('./errors'),
+    filterGroup = require('./filterGroup'),
+    promise = require('./promise')
+
+/**
+ * Defaults used by a bloomd server with default configuration.
+ */
+var DEFAULT_CAPACITY = 100000
+var DEFAULT_PROBABILITY = 0.0001
+
+/**
+ * A filter which adds a new, larger generation whenever the newest fills up, so
+ * that its false positive rate doesn't creep up as it grows past its capacity.
+ *
+ * The first generation's filter has the scaling filter's name, and later generations
+ * are named name.g2, name.g3 and so on. Keys are set in the newest generation, and
+ * are found if any generation holds them. Checks are sent to all generations at once.
+ *
+ * Every checkInterval, and whenever grow() is called, the newest generation's info is
+ * read. Once its size reaches threshold of its capacity, the next generation is created,
+ * with its capacity multiplied by growth and its probability by tightening.
+ *
+ * The generations are found by listing the filters when the scaling filter is created,
+ * and commands wait until they have been. They are listed again before each check for
+ * growth, to find generations added by other processes. Emits 'grew' with the name of each generation
+ * added on schedule, or 'growthError' with the error if checking for growth, or the first listing, failed.
+ *
+ * Options are:
+ *
+ * createOptions [{}]     The options to create the first generation with.
+ * threshold     [0.9]    The proportion of its capacity at which a generation is full.
+ * growth        [4]      The multiple of the previous generation's capacity for each new one.
+ * tightening    [1]      The multiple of the previous generation's probability for each new one.
+ * checkInterval [1 minute] The time in ms between checks for growth. 0 to only check when
+ *                          grow() is called.
+ *
+ * @param {BloomClient} client
+ * @param {string} name
+ * @param {Object} options
+ */
+function ScalingFilter(client, name, options) {
+  options = options || {}
+  this.client = client
+  this.name = name
+  this.createOptions = options.createOptions || {}
+  this.threshold = options.threshold || 0.9
+  this.growth = options.growth || 4
+  this.tightening = options.tightening || 1
+
+  // The generation numbers in use, oldest first, once they have been listed.
+  this.generations = null
+  this.waiting = []
+  this.checkTimer = null
+
+  events.EventEmitter.call(this)
+
+  var self = this
+  var checkInterval = (options.checkInterval === undefined) ? 60 * 1000 : options.checkInterval
+  if (checkInterval) {
+    this.checkTimer = setInterval(function () {
+      self.grow(function (error, generationName) {
+        if (error) {
+          self.emit('growthError', error)
+        } else if (generationName) {
+          self.emit('grew', generationName)
+        }
+      })
+    }, checkInterval)
+    this.checkTimer.unref()
+  }
+
+  this._whenLoaded(function (error) {
+    if (error) {
+      // Commands list the filters again.
+      self.emit('growthError', error)
+    }
+  })
+}
+util.inherits(ScalingFilter, events.EventEmitter)
+
+// API
+
+/**
+ * Returns the names of the generations' filters, oldest first.
+ *
+ * @return {Array}
+ */
+ScalingFilter.prototype.generationNames = function () {
+  return (this.generations || [1]).map(this._generationName, this)
+}
+
+/**
+ * Sets a key in the newest generation, creating it if it doesn't exist.
+ *
+ * The data passed back to the callback will be true if the key was new to the newest generation.
+ *
+ * @param {string} key
+ * @param {Function} callback
+ */
+ScalingFilter.prototype.set = function (key, callback) {
+  this._runOnNewest('setSafe', key, callback)
+}
+
+/**
+ * Sets multiple keys in the newest generation, creating it if it doesn't exist.
+ *
+ * @param {Array} keys
+ * @param {Function} callback
+ */
+ScalingFilter.prototype.bulk = function (keys, callback) {
+  this._runOnNewest('bulkSafe', keys, callback)
+}
+
+/**
+ * Checks whether a key is in any generation. Generations whose filters don't exist
+ * hold no keys.
+ *
+ * @param {string} key
+ * @param {Function} callback
+ */
+ScalingFilter.prototype.check = function (key, callback) {
+  this._checkGenerations(filterGroup.check, key, callback)
+}
+
+/**
+ * Checks whether each of multiple keys is in any generation.
+ *
+ * The data passed back to the callback will be an object map of each key to
+ * whether it was found in any generation.
+ *
+ * @param {Array} keys
+ * @param {Function} callback
+ */
+ScalingFilter.prototype.multi = function (keys, callback) {
+  this._checkGenerations(filterGroup.multi, keys, callback)
+}
+
+/**
+ * Creates the next generation if the newest is full, after listing the filters to
+ * find any generations added by other processes.
+ *
+ * The data passed back to the callback will be the name of the new generation,
+ * or null if the newest wasn't full. A newest generation which doesn't exist yet isn't full.
+ *
+ * @param {Function} callback
+ */
+ScalingFilter.prototype.grow = function (callback) {
+  var self = this
+  this._listGenerations(function (error) {
+    if (error) {
+      callback(error, null)
+      return
+    }
+
+    var newest = self.generations[self.generations.length - 1]
+    self.client.info(self._generationName(newest), function (error, filter) {
+      if (error instanceof errors.FilterNotFoundError) {
+        callback(null, null)
+        return
+      }
+      if (error || (filter.size < self.threshold * filter.capacity) || (newest !== self.generations[self.generations.length - 1])) {
+        callback(error || null, null)
+        return
+      }
+
+      var next = newest + 1
+      self.client.create(self._generationName(next), self._generationOptions(next), function (error) {
+        if (error) {
+          callback(error, null)
+          return
+        }
+        if (self.generations.indexOf(next) === -1) {
+          self.generations.push(next)
+        }
+        callback(null, self._generationName(next))
+      })
+    })
+  })
+}
+
+/**
+ * Stops checking for growth on a schedule.
+ */
+ScalingFilter.prototype.dispose = function () {
+  if (this.checkTimer) {
+    clearInterval(this.checkTimer)
+    this.checkTimer = null
+  }
+}
+
+/**
+ * Commands return a Promise when called without a callback.
+ * Maps each command to the position of its callback argument.
+ */
+var _callbackPositions = {
+  set: 1,
+  bulk: 1,
+  check: 1,
+  multi: 1,
+  grow: 0
+}
+promise.withPromises(ScalingFilter.prototype, _callbackPositions)
+
+// Private Methods
+
+/**
+ * Calls the callback once the generations are known, listing the filters to find them
+ * if they aren't. If the listing fails, the callback receives the error, and the next
+ * call tries again.
+ *
+ * @param {Function} callback
+ */
+ScalingFilter.prototype._whenLoaded = function (callback) {
+  if (this.generations) {
+    callback(null)
+    return
+  }
+  this._listGenerations(callback)
+}
+
+/**
+ * Lists the filters to find the generations, adding any which aren't yet known, then
+ * calls the callback, with the error if the listing failed. Calls made while a listing
+ * is in progress wait for it.
+ *
+ * @param {Function} callback
+ */
+ScalingFilter.prototype._listGenerations = function (callback) {
+  this.waiting.push(callback)
+  if (this.waiting.length > 1) {
+    // A listing is already in progress.
+    return
+  }
+
+  var self = this
+  this.client.list(this.name, function (error, filters) {
+    if (!error) {
+      // Generations created since the listing was sent are kept.
+      var generations = (self.generations || []).slice(0)
+      filters.forEach(function (filter) {
+        var generation = self._parseGenerationName(filter.name)
+        if (generation !== null && generations.indexOf(generation) === -1) {
+          generations.push(generation)
+        }
+      })
+      generations.sort(function (a, b) {
+        return a - b
+      })
+      self.generations = generations.length ? generations : [1]
+    }
+
+    var waiting = self.waiting
+    self.waiting = []
+    waiting.forEach(function (callback) {
+      callback(error)
+    })
+  })
+}
+
+/**
+ * Runs a safe command on the newest generation.
+ *
+ * @param {string} commandName
+ * @param {string|Array} keys
+ * @param {Function} callback
+ */
+ScalingFilter.prototype._runOnNewest = function (commandName, keys, callback) {
+  var self = this
+  this._whenLoaded(function (error) {
+    if (error) {
+      callback(error, null)
+      return
+    }
+    var newest = self.generations[self.generations.length - 1]
+    self.client[commandName](self._generationName(newest), keys, callback, self._generationOptions(newest))
+  })
+}
+
+/**
+ * Runs a check or multi from filterGroup on every generation, once they are known.
+ *
+ * @param {Function} checkAll filterGroup.check or filterGroup.multi
+ * @param {string|Array} keys
+ * @param {Function} callback
+ */
+ScalingFilter.prototype._checkGenerations = function (checkAll, keys, callback) {
+  var self = this
+  this._whenLoaded(function (error) {
+    if (error) {
+      callback(error, null)
+      return
+    }
+    checkAll(self.client, self.generationNames(), keys, callback)
+  })
+}
+
+/**
+ * Returns the name of a generation's filter.
+ *
+ * @param {number} generation
+ * @return {string}
+ */
+ScalingFilter.prototype._generationName = function (generation) {
+  return (generation === 1) ? this.name : this.name + '.g' + generation
+}
+
+/**
+ * Returns the generation a filter is for, or null if it isn't one of this filter's generations.
+ *
+ * @param {string} filterName
+ * @return {number}
+ */
+ScalingFilter.prototype._parseGenerationName = function (filterName) {
+  if (filterName === this.name) {
+    return 1
+  }
+  var match = (filterName.indexOf(this.name) === 0) && /^\.g(\d+)$/.exec(filterName.slice(this.name.length))
+  return match ? Number(match[1]) : null
+}
+
+/**
+ * Returns the options to create a generation's filter with.
+ *
+ * @param {number} generation
+ * @return {Object}
+ */
+ScalingFilter.prototype._generationOptions = function (generation) {
+  var options = {}
+  for (var key in this.createOptions) {
+    options[key] = this.createOptions[key]
+  }
+
+  var scale = generation - 1
+  options.capacity = Math.round((this.createOptions.capacity || DEFAULT_CAPACITY) * Math.pow(this.growth, scale))
+  if (this.tightening !== 1 || this.createOptions.prob) {
+    options.prob = (this.createOptions.prob || DEFAULT_PROBABILITY) * Math.pow(this.tightening, scale)
+  }
+  return options
+}
+
+// Exports
+
+exports.ScalingFilter = ScalingFilter
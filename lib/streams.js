@@ -0,0 +1,415 @@
+// Copyright 2013 The Obvious Corporation
+
+var stream = require('stream'),
+    util = require('util')
+
+/**
+ * A writable stream which sets each key written to it in a filter.
+ *
+ * Keys are collected into batches, each of which is set with a single bulk
+ * command. Writes wait while the client is buffering, so a fast source is held
+ * back until bloomd can keep up.
+ *
+ * Once the stream finishes, its added property holds the number of keys which were
+ * newly set, and its present property the number which were already in the filter.
+ * These are also emitted as a 'totals' event, just before 'finish'.
+ *
+ * Options are:
+ *
+ * batchSize     [1000]  The number of keys to set in each bulk command.
+ * safe          [false] Whether to use bulkSafe, creating the filter if it doesn't exist.
+ * createOptions [{}]    The options to create the filter with, when safe.
+ *
+ * @param {BloomClient} client
+ * @param {string} filterName
+ * @param {Object} options
+ */
+function SetStream(client, filterName, options) {
+  options = options || {}
+  stream.Writable.call(this, {objectMode: true})
+
+  this.client = client
+  this.filterName = filterName
+  this.batchSize = options.batchSize || 1000
+  this.safe = !!options.safe
+  this.createOptions = options.createOptions || {}
+
+  this.batch = []
+  this.outstanding = 0
+  this.onSettled = null
+  this.added = 0
+  this.present = 0
+}
+util.inherits(SetStream, stream.Writable)
+
+/**
+ * Adds a key to the current batch, sending it when it is full.
+ *
+ * @param {string} key
+ * @param {string} encoding
+ * @param {Function} done
+ */
+SetStream.prototype._write = function (key, encoding, done) {
+  this.batch.push(key)
+  if (this.batch.length < this.batchSize) {
+    done()
+    return
+  }
+
+  this._sendBatch()
+  _whenClientReady(this.client, done)
+}
+
+/**
+ * Sends any partial batch, and waits for all responses before finishing.
+ *
+ * @param {Function} done
+ */
+SetStream.prototype._final = function (done) {
+  var self = this
+  if (this.batch.length) {
+    this._sendBatch()
+  }
+
+  this._whenSettled(function () {
+    self.emit('totals', {
+      added: self.added,
+      present: self.present
+    })
+    done()
+  })
+}
+
+/**
+ * Sets the current batch of keys.
+ *
+ * A key repeated within the batch would only appear once in the response, so
+ * repeats are counted as present rather than sent.
+ */
+SetStream.prototype._sendBatch = function () {
+  var self = this
+  var keys = _unique(this.batch)
+  this.present += this.batch.length - keys.length
+  this.batch = []
+  this.outstanding++
+
+  var callback = function (error, data) {
+    if (error) {
+      // The batch is left outstanding, so that the stream never finishes.
+      self.destroy(error)
+      return
+    }
+    self.outstanding--
+    for (var key in data) {
+      if (data[key]) {
+        self.added++
+      } else {
+        self.present++
+      }
+    }
+    self._checkSettled()
+  }
+
+  if (this.safe) {
+    this.client.bulkSafe(this.filterName, keys, callback, this.createOptions)
+  } else {
+    this.client.bulk(this.filterName, keys, callback)
+  }
+}
+
+/**
+ * Calls the callback once all sent batches have been responded to.
+ *
+ * @param {Function} callback
+ */
+SetStream.prototype._whenSettled = function (callback) {
+  this.onSettled = callback
+  this._checkSettled()
+}
+
+SetStream.prototype._checkSettled = function () {
+  if (this.outstanding === 0 && this.onSettled) {
+    var onSettled = this.onSettled
+    this.onSettled = null
+    onSettled()
+  }
+}
+
+/**
+ * A transform stream which sends the items written to it to bloomd in batches,
+ * and emits the outcome for each batch in the order the batches were sent.
+ *
+ * Writes wait while the client is buffering, or while too many batches await
+ * responses. Outcomes are pushed asynchronously, so the transform can't tell by
+ * itself that the reader has fallen behind. Instead, items are held back until
+ * the reader catches up.
+ *
+ * Subclasses implement _runBatch(items, callback), to send a batch, and
+ * _emitBatch(items, data), to push the outcome of a batch.
+ *
+ * Options are:
+ *
+ * batchSize         [1000] The number of items to send in each command.
+ * maxPendingBatches [4]    The most batches to have awaiting responses at once.
+ * highWaterMark     [16]   The number of items, and of outcomes, to buffer.
+ *
+ * @param {BloomClient} client
+ * @param {string} filterName
+ * @param {Object} options
+ */
+function BatchStream(client, filterName, options) {
+  options = options || {}
+  stream.Transform.call(this, {
+    objectMode: true,
+    highWaterMark: options.highWaterMark || 16
+  })
+
+  this.client = client
+  this.filterName = filterName
+  this.batchSize = options.batchSize || 1000
+  this.maxPendingBatches = options.maxPendingBatches || 4
+
+  this.batch = []
+  this.pendingBatches = []
+  this.readerReady = true
+  this.onCapacity = null
+  this.onSettled = null
+}
+util.inherits(BatchStream, stream.Transform)
+
+/**
+ * Adds an item to the current batch, sending it when it is full.
+ *
+ * @param {*} item
+ * @param {string} encoding
+ * @param {Function} done
+ */
+BatchStream.prototype._transform = function (item, encoding, done) {
+  var self = this
+  this.batch.push(item)
+  if (this.batch.length < this.batchSize) {
+    done()
+    return
+  }
+
+  this._sendBatch()
+  _whenClientReady(this.client, function () {
+    self.onCapacity = done
+    self._checkCapacity()
+  })
+}
+
+/**
+ * Fires when the reader wants more outcomes.
+ */
+BatchStream.prototype._read = function (size) {
+  this.readerReady = true
+  this._checkCapacity()
+  stream.Transform.prototype._read.call(this, size)
+}
+
+/**
+ * Sends any partial batch, and waits for all outcomes to be emitted before ending.
+ *
+ * @param {Function} done
+ */
+BatchStream.prototype._flush = function (done) {
+  if (this.batch.length) {
+    this._sendBatch()
+  }
+
+  this.onSettled = done
+  this._emitResults()
+}
+
+/**
+ * Sends the current batch of items.
+ */
+BatchStream.prototype._sendBatch = function () {
+  var self = this
+  var pending = {
+    items: this.batch,
+    data: null
+  }
+  this.batch = []
+  this.pendingBatches.push(pending)
+
+  this._runBatch(pending.items, function (error, data) {
+    if (error) {
+      self.destroy(error)
+      return
+    }
+    pending.data = data
+    self._emitResults()
+  })
+}
+
+/**
+ * Emits the outcomes of batches which have been responded to, in the order
+ * the batches were sent.
+ */
+BatchStream.prototype._emitResults = function () {
+  while (this.pendingBatches.length && this.pendingBatches[0].data) {
+    var pending = this.pendingBatches.shift()
+    this._emitBatch(pending.items, pending.data)
+  }
+
+  this._checkCapacity()
+
+  if (this.onSettled && !this.pendingBatches.length) {
+    var onSettled = this.onSettled
+    this.onSettled = null
+    onSettled()
+  }
+}
+
+/**
+ * Pushes an outcome, noting whether the reader is keeping up.
+ *
+ * @param {*} outcome
+ */
+BatchStream.prototype._pushOutcome = function (outcome) {
+  this.readerReady = this.push(outcome)
+}
+
+/**
+ * Takes the next item if the reader is keeping up, and there is room for another batch.
+ */
+BatchStream.prototype._checkCapacity = function () {
+  if (this.onCapacity && this.readerReady && (this.pendingBatches.length < this.maxPendingBatches)) {
+    var onCapacity = this.onCapacity
+    this.onCapacity = null
+    onCapacity()
+  }
+}
+
+/**
+ * A transform stream which checks each key written to it against a filter,
+ * emitting a {key, present} record for each, in the order they were written.
+ *
+ * Keys are checked in batches, with a single multi command for each.
+ * Takes the same options as BatchStream.
+ *
+ * @param {BloomClient} client
+ * @param {string} filterName
+ * @param {Object} options
+ */
+function CheckStream(client, filterName, options) {
+  BatchStream.call(this, client, filterName, options)
+}
+util.inherits(CheckStream, BatchStream)
+
+CheckStream.prototype._runBatch = function (keys, callback) {
+  this.client.multi(this.filterName, keys, callback)
+}
+
+CheckStream.prototype._emitBatch = function (keys, results) {
+  for (var i = 0, l = keys.length; i < l; i++) {
+    this._pushOutcome({
+      key: keys[i],
+      present: results[keys[i]]
+    })
+  }
+}
+
+/**
+ * A transform stream which only passes on records whose key hasn't been seen before,
+ * setting each key in a filter as it goes. Records are passed on unchanged, in the
+ * order they were written.
+ *
+ * Keys are set in batches, with a single bulk command for each, and a record is
+ * passed on if bloomd reports its key as newly set. A key repeated within a batch
+ * is only passed on once. As with any bloom filter, a small proportion of new keys
+ * will be false positives, and dropped.
+ *
+ * Its passed and dropped properties count the records passed on and dropped.
+ *
+ * Takes the same options as BatchStream, and:
+ *
+ * key           [identity] A function which returns the key for a record.
+ * safe          [false]    Whether to use bulkSafe, creating the filter if it doesn't exist.
+ * createOptions [{}]       The options to create the filter with, when safe.
+ *
+ * @param {BloomClient} client
+ * @param {string} filterName
+ * @param {Object} options
+ */
+function DedupStream(client, filterName, options) {
+  options = options || {}
+  BatchStream.call(this, client, filterName, options)
+
+  this.key = options.key || function (record) {
+    return record
+  }
+  this.safe = !!options.safe
+  this.createOptions = options.createOptions || {}
+  this.passed = 0
+  this.dropped = 0
+}
+util.inherits(DedupStream, BatchStream)
+
+DedupStream.prototype._runBatch = function (records, callback) {
+  var keys = _unique(records.map(this.key))
+  if (this.safe) {
+    this.client.bulkSafe(this.filterName, keys, callback, this.createOptions)
+  } else {
+    this.client.bulk(this.filterName, keys, callback)
+  }
+}
+
+DedupStream.prototype._emitBatch = function (records, results) {
+  var passedKeys = {}
+  for (var i = 0, l = records.length; i < l; i++) {
+    var key = this.key(records[i])
+    if (results[key] && !Object.prototype.hasOwnProperty.call(passedKeys, key)) {
+      passedKeys[key] = true
+      this.passed++
+      this._pushOutcome(records[i])
+    } else {
+      this.dropped++
+    }
+  }
+}
+
+// Helper Functions
+
+/**
+ * Calls the callback immediately if the client is processing commands, otherwise
+ * once it has sent everything it has buffered.
+ *
+ * @param {BloomClient} client
+ * @param {Function} callback
+ */
+function _whenClientReady(client, callback) {
+  if (client.isBuffering() && !client.unavailable) {
+    client.once('drain', function () {
+      callback()
+    })
+  } else {
+    callback()
+  }
+}
+
+/**
+ * Returns the distinct values of an array, in order.
+ *
+ * @param {Array} values
+ * @return {Array}
+ */
+function _unique(values) {
+  var seen = {}
+  return values.filter(function (value) {
+    if (Object.prototype.hasOwnProperty.call(seen, value)) {
+      return false
+    }
+    seen[value] = true
+    return true
+  })
+}
+
+// Exports
+
+exports.SetStream = SetStream
+exports.BatchStream = BatchStream
+exports.CheckStream = CheckStream
+exports.DedupStream = DedupStream
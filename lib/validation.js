@@ -0,0 +1,80 @@
+// Copyright 2013 The Obvious Corporation
+
+var errors = require('./errors')
+
+/**
+ * Checks of command arguments against the rules bloomd applies, so that commands it would
+ * refuse fail with a clear error, without being sent.
+ */
+
+/**
+ * Filter names bloomd will accept, including the client's namespace.
+ */
+var VALID_FILTER_NAME = /^[a-zA-Z0-9._-]{1,200}$/
+
+/**
+ * The options a filter can be created with, each mapped to a check of its value
+ * which returns a description of the values allowed, if the value isn't one of them.
+ */
+var CREATE_OPTIONS = {
+  prob: function (value) {
+    return (value > 0 && value < 1) ? null : 'a number between 0 and 1, exclusive'
+  },
+  capacity: function (value) {
+    return (value >= 10000 && value % 1 === 0) ? null : 'a whole number of at least 10000'
+  },
+  in_memory: function (value) {
+    return (value === 0 || value === 1) ? null : '0 or 1'
+  }
+}
+
+/**
+ * Returns the error for a filter name bloomd would refuse, or null if it's valid.
+ *
+ * @param {string} filterName
+ * @param {string} namespace The client's namespace, which is part of the name bloomd sees.
+ * @return {ValidationError}
+ */
+function filterNameError(filterName, namespace) {
+  if (typeof filterName !== 'string' || !VALID_FILTER_NAME.test((namespace || '') + filterName)) {
+    return new errors.ValidationError('Invalid filter name ' + JSON.stringify(filterName) +
+        ': names may only contain letters, digits, ".", "_" and "-", and be 1 to 200 characters long' +
+        (namespace ? ', including the namespace' : ''))
+  }
+  return null
+}
+
+/**
+ * Returns the error for create options bloomd would refuse, or null if they're valid.
+ *
+ * @param {Object} options
+ * @return {ValidationError}
+ */
+function createOptionsError(options) {
+  if (options === null || options === undefined) {
+    return null
+  }
+  if (typeof options !== 'object') {
+    return new errors.ValidationError('Create options must be an object')
+  }
+
+  for (var key in options) {
+    if (!CREATE_OPTIONS.hasOwnProperty(key)) {
+      return new errors.ValidationError('Unknown create option ' + JSON.stringify(key) +
+          ': options are ' + Object.keys(CREATE_OPTIONS).join(', '))
+    }
+
+    var value = options[key]
+    var allowed = CREATE_OPTIONS[key]((typeof value === 'string' && value !== '') ? Number(value) : value)
+    if (allowed) {
+      return new errors.ValidationError('Invalid create option ' + key + '=' + value + ': must be ' + allowed)
+    }
+  }
+  return null
+}
+
+// Exports
+
+exports.VALID_FILTER_NAME = VALID_FILTER_NAME
+exports.filterNameError = filterNameError
+exports.createOptionsError = createOptionsError
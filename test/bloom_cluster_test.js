@@ -0,0 +1,159 @@
+// Copyright 2013 The Obvious Corporation
+
+var bloom = require('../index'),
+  servers = [new bloom.MockBloomdServer(), new bloom.MockBloomdServer()],
+  ports = [8674, 8675]
+
+/**
+ * Nodes for a cluster of the mock servers.
+ */
+function _nodes() {
+  return ports.map(function (port) {
+    return {port: port}
+  })
+}
+
+/**
+ * Starts the mock bloomd servers.
+ */
+exports.setUp = function (callback) {
+  var outstanding = servers.length
+  servers.forEach(function (server, index) {
+    server.reset()
+    server.listen(ports[index], '127.0.0.1', function () {
+      if (--outstanding === 0) {
+        callback()
+      }
+    })
+  })
+}
+
+/**
+ * Stops the mock bloomd servers.
+ */
+exports.tearDown = function (callback) {
+  var outstanding = servers.length
+  servers.forEach(function (server) {
+    server.close(function () {
+      if (--outstanding === 0) {
+        callback()
+      }
+    })
+  })
+}
+
+/**
+ * Tests that filters are spread across nodes, and that commands for a filter
+ * always reach the node which holds it.
+ */
+exports.routesFiltersToNodes = function (test) {
+  var cluster = bloom.createCluster(_nodes())
+  var filterNames = []
+  for (var i = 0; i < 20; i++) {
+    filterNames.push('routed_' + i)
+  }
+
+  var outstanding = filterNames.length
+  filterNames.forEach(function (filterName) {
+    cluster.setSafe(filterName, 'monkey', function (error, data) {
+      test.equals(data, true)
+      cluster.check(filterName, 'monkey', function (error, data) {
+        test.equals(data, true, 'Check did not reach the node holding ' + filterName)
+        if (--outstanding === 0) {
+          finish()
+        }
+      })
+    })
+  })
+
+  function finish() {
+    var counts = servers.map(function (server) {
+      return Object.keys(server.filters).length
+    })
+    test.equals(counts[0] + counts[1], filterNames.length)
+    test.ok(counts[0] > 0 && counts[1] > 0, 'Filters were not spread across nodes')
+
+    filterNames.forEach(function (filterName) {
+      var server = servers[ports.indexOf(cluster.nodeFor(filterName).options.port)]
+      test.ok(server.filters[filterName], filterName + ' is not on the node it hashes to')
+    })
+
+    cluster.dispose()
+    test.done()
+  }
+}
+
+/**
+ * Tests that the same filter always hashes to the same node, regardless of node order.
+ */
+exports.hashingIsConsistent = function (test) {
+  var nodes = _nodes()
+  var cluster = bloom.createCluster(nodes)
+  var reversed = bloom.createCluster(nodes.slice(0).reverse())
+
+  for (var i = 0; i < 100; i++) {
+    test.equals(cluster.nodeNameFor('filter_' + i), reversed.nodeNameFor('filter_' + i))
+  }
+
+  cluster.dispose()
+  reversed.dispose()
+  test.done()
+}
+
+/**
+ * Tests that list and flush are run on all nodes and their results merged.
+ */
+exports.listAndFlushFanOut = function (test) {
+  var cluster = bloom.createCluster(_nodes())
+  var filterNames = ['fan_a', 'fan_b', 'fan_c', 'fan_d', 'fan_e', 'fan_f']
+
+  Promise.all(filterNames.map(function (filterName) {
+    return cluster.create(filterName, {})
+  })).then(function () {
+    return cluster.list('fan_')
+  }).then(function (data) {
+    test.deepEqual(data.map(function (filter) {
+      return filter.name
+    }).sort(), filterNames)
+    return cluster.flush()
+  }).then(function (data) {
+    test.equals(data, true)
+    cluster.dispose()
+    test.done()
+  }).catch(function (e) {
+    test.ifError(e)
+    cluster.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that the cluster announces which node became unavailable, and that
+ * the other nodes carry on working.
+ */
+exports.announcesUnavailableNode = function (test) {
+  var cluster = bloom.createCluster(_nodes(), {maxConnectionAttempts: 1})
+  var downName = '127.0.0.1:' + ports[0]
+  var upFilter = null
+
+  for (var i = 0; upFilter === null; i++) {
+    if (cluster.nodeNameFor('available_' + i) !== downName) {
+      upFilter = 'available_' + i
+    }
+  }
+
+  cluster.once('nodeUnavailable', function (name, client) {
+    test.equals(name, downName)
+    test.equals(client, cluster.nodes[downName])
+
+    cluster.create(upFilter, {}, function (error, data) {
+      test.equals(data, true, 'The available node should still accept commands')
+      cluster.dispose()
+      test.done()
+    })
+  })
+
+  cluster.once('nodeConnected', function (name) {
+    servers[0].close()
+  })
+}
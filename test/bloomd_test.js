@@ -3,52 +3,29 @@
 var bloom = require('../index'),
   fs = require('fs'),
   assert = require('assert'),
-  spawn = require('child_process').spawn,
-  sleep = require('sleep').sleep,
-  bloomd
+  loggers = require('../lib/loggers'),
+  filterGroup = require('../lib/filterGroup'),
+  bloomd = new bloom.MockBloomdServer()
 
 /**
- * Delay in ms that we should wait after doing a drop command before issuing
- * a create command to the same filter name, due to bloomd's limitations.
- * If tests are failing, try increasing this.
+ * Starts the mock bloomd server
  */
-var DROP_THEN_CREATE_DELAY_MS = 200
-
-/**
- * Delay in seconds that we should wait after starting and stopping the bloomd
- * server to make sure it is ready.
- */
-var SERVER_START_STOP_TIME = 1
-
-/**
- * Starts bloomd
- */
-function _startServer() {
-  bloomd = spawn('bloomd')
-  bloomd.on('close', function (code) {
-    if (code) {
-      console.log('Bloomd could not start. Is it already running?')
-      throw new Error()
-    }
-  })
-  sleep(SERVER_START_STOP_TIME)
+function _startServer(callback) {
+  bloomd.listen(8673, '127.0.0.1', callback)
 }
 
 /**
- * Stops bloomd
+ * Stops the mock bloomd server
  */
-function _stopServer() {
-  bloomd.kill()
-  sleep(SERVER_START_STOP_TIME)
+function _stopServer(callback) {
+  bloomd.close(callback)
 }
 
 /**
- * We use different named filters for each, as bloomd does not allow for the creation
- * of a filter while it is deleting one of the same name, and this library doesn't
- * currently handle this case.
+ * We use different named filters for each, so that tests don't depend on each other's data.
  *
- * These tests work by starting and stopping bloomd a couple of times.
- * It assumes 'bloomd' is an executable on the system.
+ * These tests work by starting and stopping an in-process mock of bloomd
+ * a couple of times. Filters survive the mock being stopped, as they would with bloomd.
  *
  * Starting and stopping the server throughout the tests introduces a dependency
  * on the ordering of tests, and makes them potentially non-deterministic. This isn't
@@ -113,6 +90,235 @@ exports.unavailableClientRejectsQueuedAndNewCommands = function (test) {
   })
 }
 
+/**
+ * Tests that a client gives up connecting after connectTimeout, rejecting queued commands.
+ * Nothing listens on the port it uses.
+ */
+exports.unavailableAfterConnectTimeout = function (test) {
+  var filterName = 'connect_timeout'
+  var bloomClient = bloom.createClient({port: 8679, connectTimeout: 300})
+  var started = Date.now()
+
+  bloomClient.set(filterName, 'monkey', function (error, data) {
+    test.equals('Bloomd is unavailable', error.message, 'Command should have been rejected')
+  })
+
+  bloomClient.on('unavailable', function () {
+    var elapsed = Date.now() - started
+    test.ok(elapsed >= 250, 'Gave up too early')
+    test.ok(elapsed < 1000, 'Gave up too late')
+    test.ok(bloomClient.totalReconnectionTime >= 250, 'Did not track the time spent reconnecting')
+
+    bloomClient.set(filterName, 'monkey', function (error, data) {
+      test.equals('Bloomd is unavailable', error.message, 'Command should have been rejected')
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that a retry strategy decides the delay between reconnection attempts,
+ * and can give up. Nothing listens on the port it uses.
+ */
+exports.retryStrategyControlsReconnection = function (test) {
+  var calls = []
+  var bloomClient = bloom.createClient({
+    port: 8679,
+    retryStrategy: function (attempt, elapsed, lastError, lastDelay) {
+      calls.push({attempt: attempt, elapsed: elapsed, lastError: lastError, lastDelay: lastDelay})
+      return attempt < 3 ? 20 : bloom.retryStrategies.STOP
+    }
+  })
+
+  bloomClient.on('unavailable', function () {
+    test.deepEqual(calls.map(function (call) {
+      return call.attempt
+    }), [1, 2, 3])
+    test.deepEqual(calls.map(function (call) {
+      return call.lastDelay
+    }), [0, 20, 20])
+    test.equals(calls[2].lastError.code, 'ECONNREFUSED')
+    test.ok(calls[2].elapsed >= 40, 'Elapsed time did not include the delays')
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that a requested reconnection is given the same attempts as the first
+ * connection. Nothing listens on the port it uses.
+ */
+exports.reconnectRestartsAttempts = function (test) {
+  var outages = [[]]
+  var bloomClient = bloom.createClient({
+    port: 8679,
+    maxConnectionAttempts: 3,
+    retryStrategy: function (attempt) {
+      outages[outages.length - 1].push(attempt)
+      return 10
+    }
+  })
+
+  bloomClient.once('unavailable', function () {
+    outages.push([])
+    bloomClient.once('unavailable', function () {
+      test.deepEqual(outages, [[1, 2], [1, 2]])
+      bloomClient.dispose()
+      test.done()
+    })
+    bloomClient.reconnect()
+  })
+}
+
+/**
+ * Tests that a retry strategy's attempts are counted from each loss of the connection,
+ * rather than over the client's lifetime.
+ */
+exports.retryAttemptsRestartForEachOutage = function (test) {
+  var server = new bloom.MockBloomdServer()
+  var outages = []
+  var bloomClient
+
+  function loseConnection() {
+    if (outages.length === 2) {
+      test.deepEqual(outages.map(function (attempts) {
+        return attempts[0]
+      }), [1, 1], 'Each outage should start from the first attempt')
+      outages.forEach(function (attempts) {
+        test.ok(attempts.length > 1, 'Reconnection should have been retried')
+      })
+      bloomClient.dispose()
+      server.close()
+      test.done()
+      return
+    }
+
+    outages.push([])
+    bloomClient.once('connected', loseConnection)
+    server.close(function () {
+      setTimeout(function () {
+        server.listen(8680, '127.0.0.1')
+      }, 100)
+    })
+  }
+
+  server.listen(8680, '127.0.0.1', function () {
+    bloomClient = bloom.createClient({
+      port: 8680,
+      retryStrategy: function (attempt) {
+        outages[outages.length - 1].push(attempt)
+        return 20
+      }
+    })
+    bloomClient.once('connected', loseConnection)
+  })
+}
+
+/**
+ * Tests that the newest commands are rejected when the offline queue is full.
+ * Nothing listens on the port it uses.
+ */
+exports.offlineQueueRejectsNewest = function (test) {
+  var bloomClient = bloom.createClient({port: 8679, maxOfflineQueue: 5})
+  var errors = []
+  var events = []
+
+  bloomClient.on('queueHigh', function (queueName, depth, filterName) {
+    events.push(['queueHigh', queueName, depth, filterName])
+  })
+  bloomClient.on('queueOverflow', function (queueName, command) {
+    events.push(['queueOverflow', queueName, command.arguments[2]])
+  })
+
+  for (var i = 0; i < 7; i++) {
+    bloomClient.set('offline_queue', 'key_' + i, function (error) {
+      errors.push(error.message)
+    })
+  }
+
+  test.deepEqual(bloomClient.getQueueDepths(), {sent: 0, offline: 5, filter: 0})
+  test.deepEqual(events, [
+    ['queueHigh', 'offline', 4, 'offline_queue'],
+    ['queueOverflow', 'offline', 'key_5'],
+    ['queueOverflow', 'offline', 'key_6']
+  ])
+  test.deepEqual(errors, ['Bloomd offline queue is full', 'Bloomd offline queue is full'])
+
+  bloomClient.dispose()
+  test.done()
+}
+
+/**
+ * Tests that the oldest commands are failed to make room when the offline queue is full,
+ * and that commands held for a filter are limited.
+ */
+exports.queuesDropOldest = function (test) {
+  var offlineClient = bloom.createClient({port: 8679, maxOfflineQueue: 2, queueOverflow: 'dropOldest'})
+  var failed = []
+
+  ;['key_0', 'key_1', 'key_2', 'key_3'].forEach(function (key) {
+    offlineClient.set('offline_queue', key, function (error) {
+      failed.push([key, error.message, error.command])
+    })
+  })
+
+  test.deepEqual(failed, [
+    ['key_0', 'Bloomd offline queue is full', ['set', 'offline_queue', 'key_0']],
+    ['key_1', 'Bloomd offline queue is full', ['set', 'offline_queue', 'key_1']]
+  ])
+  test.deepEqual(offlineClient.offlineQueue.map(function (command) {
+    return command.arguments[2]
+  }), ['key_2', 'key_3'])
+  offlineClient.dispose()
+
+  var filterName = 'filter_queue'
+  var bloomClient = bloom.createClient({maxFilterQueue: 1, queueOverflow: 'dropOldest'})
+  var results = []
+
+  bloomClient.setSafe(filterName, 'held', function (error, data) {
+    results.push(['setSafe', data])
+  })
+  bloomClient.check(filterName, 'held', function (error, data) {
+    results.push(['dropped', error.message])
+  })
+  bloomClient.check(filterName, 'held', function (error, data) {
+    results.push(['check', data])
+
+    test.deepEqual(results, [
+      ['dropped', 'Bloomd filter queue is full'],
+      ['setSafe', true],
+      ['check', true]
+    ])
+    bloomClient.drop(filterName, function () {
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that commands fail immediately once the connection is lost, with the failFast policy.
+ */
+exports.queueFailsFastWhenDisconnected = function (test) {
+  var server = new bloom.MockBloomdServer()
+  var bloomClient = bloom.createClient({port: 8676, queueOverflow: 'failFast'})
+
+  server.listen(8676, '127.0.0.1', function () {
+    bloomClient.once('connected', function () {
+      bloomClient.once('disconnected', function () {
+        bloomClient.set('fail_fast', 'monkey', function (error, data) {
+          test.equals(error.message, 'Bloomd is disconnected')
+          test.equals(bloomClient.offlineQueue.length, 0)
+          bloomClient.dispose()
+          test.done()
+        })
+      })
+      server.close()
+    })
+  })
+}
+
 /**
  * Tests that disposing a client doesn't reconnect
  */
@@ -201,27 +407,20 @@ exports.setAndCreateTestFilterDoesNotExist = function (test) {
   var bloomClient = bloom.createClient()
 
   bloomClient.drop(filterName, function (error, data) {
-    // This is a bit janky, as we have to drop the bloomClient to
-    // ensure that the filter doesn't exist beforehand,
-    // but bloomd has a period of time where you can't create immediately
-    // after a drop where creation will fail, so we wait for a bit.
-    // Non-deterministic, but probably ok.
-    setTimeout(function() {
-      bloomClient.setSafe(filterName, 'monkey', function(error, data) {
-        test.equals(data, true)
-
-        // The cleanup drop command also has to come in this callback,
-        // otherwise it will be in the queue before the create and retry
-        // commands that are generated by the non-existence of the filter.
-        // This is why promises are good.
-        bloomClient.drop(filterName, function() {
-          // Drop, Set, Create, Set, Drop
-          bloomClient.dispose()
-          test.equals(5, bloomClient.commandsSent)
-          test.done()
-        })
+    bloomClient.setSafe(filterName, 'monkey', function(error, data) {
+      test.equals(data, true)
+
+      // The cleanup drop command also has to come in this callback,
+      // otherwise it will be in the queue before the create and retry
+      // commands that are generated by the non-existence of the filter.
+      // This is why promises are good.
+      bloomClient.drop(filterName, function() {
+        // Drop, Set, Create, Set, Drop
+        bloomClient.dispose()
+        test.equals(5, bloomClient.commandsSent)
+        test.done()
       })
-    }, DROP_THEN_CREATE_DELAY_MS)
+    })
   })
 }
 
@@ -235,23 +434,20 @@ exports.checkAfterSetSafe = function (test) {
   var bloomClient = bloom.createClient()
 
   bloomClient.drop(filterName, function (error, data) {
-    // Also janky.
-    setTimeout(function() {
-      bloomClient.setSafe(filterName, 'monkey', function(error, data) {
-        test.equals(data, true)
-      })
+    bloomClient.setSafe(filterName, 'monkey', function(error, data) {
+      test.equals(data, true)
+    })
 
-      bloomClient.check(filterName, 'monkey', function(error, data) {
-        test.equals(data, true, 'Check after safe set was not true')
-      })
+    bloomClient.check(filterName, 'monkey', function(error, data) {
+      test.equals(data, true, 'Check after safe set was not true')
+    })
 
-      bloomClient.drop(filterName, function() {
-        // Drop, Set, Create, Set, Check, Drop
-        bloomClient.dispose()
-        test.equals(6, bloomClient.commandsSent)
-        test.done()
-      })
-    }, DROP_THEN_CREATE_DELAY_MS)
+    bloomClient.drop(filterName, function() {
+      // Drop, Set, Create, Set, Check, Drop
+      bloomClient.dispose()
+      test.equals(6, bloomClient.commandsSent)
+      test.done()
+    })
   })
 }
 
@@ -263,53 +459,50 @@ exports.interleavedSafeNonSafe = function (test) {
   var bloomClient = bloom.createClient()
 
   bloomClient.drop(filterName, function (error, data) {
-    // Also janky.
-    setTimeout(function() {
-      bloomClient.multiSafe(filterName, ['monkey'], function(error, data) {
-        test.deepEqual(data, {
-          monkey: false
-        })
+    bloomClient.multiSafe(filterName, ['monkey'], function(error, data) {
+      test.deepEqual(data, {
+        monkey: false
       })
+    })
 
-      bloomClient.bulk(filterName, ['monkey', 'magic', 'muppet'], function(error, data) {
-        test.deepEqual(data, {
-          monkey: true,
-          magic: true,
-          muppet: true
-        })
+    bloomClient.bulk(filterName, ['monkey', 'magic', 'muppet'], function(error, data) {
+      test.deepEqual(data, {
+        monkey: true,
+        magic: true,
+        muppet: true
       })
+    })
 
-      bloomClient.multiSafe(filterName, ['magic', 'muppet', 'moonbeam'], function(error, data) {
-        test.deepEqual(data, {
-          magic: true,
-          muppet: true,
-          moonbeam: false
-        })
+    bloomClient.multiSafe(filterName, ['magic', 'muppet', 'moonbeam'], function(error, data) {
+      test.deepEqual(data, {
+        magic: true,
+        muppet: true,
+        moonbeam: false
       })
+    })
 
-      bloomClient.bulkSafe(filterName, ['monkey', 'moonbeam'], function(error, data) {
-        test.deepEqual(data, {
-          monkey: false,
-          moonbeam: true
-        })
+    bloomClient.bulkSafe(filterName, ['monkey', 'moonbeam'], function(error, data) {
+      test.deepEqual(data, {
+        monkey: false,
+        moonbeam: true
       })
+    })
 
-      bloomClient.multi(filterName, ['monkey', 'magic', 'muppet', 'moonbeam'], function(error, data) {
-        test.deepEqual(data, {
-          monkey: true,
-          magic: true,
-          muppet: true,
-          moonbeam: true
-        })
+    bloomClient.multi(filterName, ['monkey', 'magic', 'muppet', 'moonbeam'], function(error, data) {
+      test.deepEqual(data, {
+        monkey: true,
+        magic: true,
+        muppet: true,
+        moonbeam: true
       })
+    })
 
-      bloomClient.drop(filterName, function() {
-        // Drop, Multi, Create, Multi, Bulk, Multi, Bulk, Multi, Drop
-        bloomClient.dispose()
-        test.equals(9, bloomClient.commandsSent)
-        test.done()
-      })
-    }, DROP_THEN_CREATE_DELAY_MS)
+    bloomClient.drop(filterName, function() {
+      // Drop, Multi, Create, Multi, Bulk, Multi, Bulk, Multi, Drop
+      bloomClient.dispose()
+      test.equals(9, bloomClient.commandsSent)
+      test.done()
+    })
   })
 }
 
@@ -318,87 +511,86 @@ exports.interleavedSafeNonSafe = function (test) {
  * Tests the setting of a key on a filter that doesn't exist, in the situation
  * where the creation of the filter fails for some reason.
  *
- * We can simulate this by using a sufficiently low desired capacity.
+ * We can simulate this by creating the filter while one of the same name is
+ * still being deleted, without retrying.
  */
 exports.setAndCreateTestFilterCannotBeCreated = function (test) {
   var filterName = 'set_and_create_error_creating'
-  var bloomClient = bloom.createClient()
+  var bloomClient = bloom.createClient({maxCreateRetries: 0})
+  bloomd.dropDelay = 1000
 
+  bloomClient.create(filterName, {})
   bloomClient.drop(filterName, function (error, data) {
-    // Same as prior test, also janky.
-    setTimeout(function() {
-      bloomClient.setSafe(filterName, 'monkey', function(error, data) {
-        test.equals(error.message, 'Client Error: Bad arguments')
+    bloomClient.setSafe(filterName, 'monkey', function(error, data) {
+      test.equals(error.message, 'Delete in progress')
+      test.ok(error instanceof bloom.CreateFailedError, 'The safe command should fail with the create error')
+      test.equals(error.code, 'CREATE_FAILED')
 
-        bloomClient.drop(filterName, function() {
-          bloomClient.dispose()
-          test.done()
-        })
-      }, {
-        // A low capacity will cause a creation failure due to bad arguments.
-        capacity: 100
-      })
-    }, DROP_THEN_CREATE_DELAY_MS)
+      bloomd.dropDelay = 0
+      bloomClient.dispose()
+      test.done()
+    })
   })
 }
 
 /**
- * Test insertion and subsequent retrieval of 235k items, into a filter initially
- * sized for 20k, forcing multiple resizes.  We chain the multi on the callback of
- * the bulk in order to get accurate timings.
+ * Tests that creating a filter while bloomd is still deleting one of the same
+ * name is retried, and that commands for the filter wait for the creation.
  */
-exports.bulkPerformance = function (test) {
-  var filterName = 'bulk_performance'
-  var bloomClient = bloom.createClient()
-
-  // Read in a dictionary.
-  fs.readFile('./test/words.txt', 'utf8', function (error, data) {
-
-    // Create a filter.
-    bloomClient.create(filterName, {
-      prob: 0.0001,
-      capacity: 20000
-    })
+exports.createRetriedWhileDeleteInProgress = function (test) {
+  var filterName = 'create_while_deleting'
+  var bloomClient = bloom.createClient({createRetryDelay: 50})
+  bloomd.dropDelay = 200
 
-	// The last line will be blank.
-    var lines = data.split('\n')
-    lines.pop()
+  bloomClient.create(filterName, {}, function (error, data) {
+    test.equals(data, true, 'Failed to create filter')
+  })
 
-    var bulkExpected = {}
-    var multiExpected = {}
+  bloomClient.set(filterName, 'monkey', function (error, data) {
+    test.equals(data, true)
+  })
 
-    for (var i = 0, l = lines.length; i < l; i++) {
-      var line = lines[i]
-      bulkExpected[line] = true
-      multiExpected[line] = true
-    }
+  bloomClient.drop(filterName, function (error, data) {
+    test.equals(data, true, 'Failed to drop filter')
 
-    // There are a couple of collisions at this probability.
-    bulkExpected['choledochotomy'] = false
-    bulkExpected['ensnarer'] = false
-    bulkExpected['renunciatory'] = false
-    bulkExpected['unboundless'] = false
+    bloomClient.setSafe(filterName, 'monkey', function (error, data) {
+      test.equals(data, true, 'monkey should have been set in the new filter')
+    })
 
-    // Insert lots of data.
-    var bulkStart = process.hrtime()
-    bloomClient.bulk(filterName, lines, function (error, data) {
-      var elapsed = bloom.timer(bulkStart, 'Inserted ' + lines.length + ' items')
+    bloomClient.check(filterName, 'monkey', function (error, data) {
+      test.equals(data, true, 'Check ran before the filter was re-created')
 
-      // Totally arbitrary, but should be plenty of room on even a moderate laptop.
-      test.ok(elapsed < 1000, 'Bulk set considered too slow')
+      bloomd.dropDelay = 0
+      bloomClient.drop(filterName, function () {
+        bloomClient.dispose()
+        test.ok(bloomClient.commandsSent > 7, 'The create was not retried')
+        test.done()
+      })
+    })
+  })
+}
 
-      test.deepEqual(bulkExpected, data)
+/**
+ * Tests that commands sent straight after a create wait for it, even when the
+ * creation is retried because bloomd is still deleting the filter.
+ */
+exports.commandsWaitForRetriedCreate = function (test) {
+  var filterName = 'pipelined_create'
+  var bloomClient = bloom.createClient({createRetryDelay: 50})
+  bloomd.dropDelay = 200
 
-      var multiStart = process.hrtime()
-      bloomClient.multi(filterName, lines, function (error, data) {
-        var elapsed = bloom.timer(multiStart, 'Retrieved ' + lines.length + ' items')
+  bloomClient.create(filterName, {})
+  bloomClient.drop(filterName, function (error, data) {
+    bloomClient.create(filterName, {}, function (error, data) {
+      test.equals(data, true, 'Failed to re-create filter')
+    })
 
-        // Totally arbitrary, but should be plenty of room on even a moderate laptop.
-        test.ok(elapsed < 1000, 'Multi check considered too slow')
-        test.deepEqual(multiExpected, data)
-      })
+    bloomClient.set(filterName, 'monkey', function (error, data) {
+      test.equals(error, null, 'The set was sent before the filter was re-created')
+      test.equals(data, true)
 
-      bloomClient.drop(filterName, function() {
+      bloomd.dropDelay = 0
+      bloomClient.drop(filterName, function () {
         bloomClient.dispose()
         test.done()
       })
@@ -407,53 +599,903 @@ exports.bulkPerformance = function (test) {
 }
 
 /**
- * Test repeated calls to info, to force data buffering that will
- * result in incomplete lists, and give the stream transformation code a workout.
+ * Tests that disposing of the client cancels a create waiting to be retried,
+ * failing it and the commands held behind it.
  */
-exports.consecutiveInfo = function (test) {
-  var filterName = 'consecutive_info'
-  var bloomClient = bloom.createClient()
+exports.disposeCancelsCreateRetry = function (test) {
+  var filterName = 'cancelled_create'
+  var bloomClient = bloom.createClient({createRetryDelay: 10000})
+  bloomd.dropDelay = 200
 
-  // Create a filter.
-  bloomClient.create(filterName, {
-    prob: 0.01,
-    capacity: 20000
+  bloomClient.create(filterName, {})
+  bloomClient.drop(filterName, function (error, data) {
+    bloomClient.create(filterName, {}, function (error, data) {
+      test.equals(error.code, 'UNAVAILABLE')
+      test.equals(error.filterName, filterName)
+      test.equals(bloomClient.createRetries.length, 0)
+    })
+
+    bloomClient.set(filterName, 'monkey', function (error, data) {
+      test.equals(error.code, 'UNAVAILABLE', 'The set was not rejected with the create')
+      bloomd.dropDelay = 0
+      test.done()
+    })
+
+    bloomClient.on('command', function (command) {
+      if ('create' === command.name) {
+        // Let the failed create schedule its retry before disposing.
+        setImmediate(function () {
+          test.equals(bloomClient.createRetries.length, 1)
+          bloomClient.dispose()
+        })
+      }
+    })
   })
+}
 
-  var iterations = 1000
-  var responseCount = 0
-  function callback(error, data) {
-    test.equals(data.name, filterName, 'Did not get back the same thing we put it')
-    responseCount++
-  }
+/**
+ * Tests that creation fails once the retries are exhausted.
+ */
+exports.createFailsAfterRetries = function (test) {
+  var filterName = 'create_retries_exhausted'
+  var bloomClient = bloom.createClient({maxCreateRetries: 2, createRetryDelay: 10})
+  bloomd.dropDelay = 1000
 
-  for (var i = 0; i < iterations; i++) {
-    bloomClient.info(filterName, callback)
-  }
+  bloomClient.create(filterName, {})
+  bloomClient.drop(filterName, function (error, data) {
+    bloomClient.create(filterName, {}, function (error, data) {
+      test.equals(error.message, 'Delete in progress')
 
-  bloomClient.drop(filterName, function() {
-    bloomClient.dispose()
-    test.equals(iterations, responseCount, 'Did not iterate the correct number of times')
-    test.done()
+      // Create, Drop, Create, Create, Create
+      test.equals(bloomClient.commandsSent, 5)
+      bloomd.dropDelay = 0
+      bloomClient.dispose()
+      test.done()
+    })
   })
 }
 
 /**
- * Perform the canonical steps listed in the bloomd readme
- *
- * https://github.com/armon/bloomd/blob/master/README.md
+ * Tests that encoded keys containing spaces and line breaks can be set and checked,
+ * with results keyed by the original keys.
  */
-exports.canonicalTest = function (test) {
-  var filterName = 'canonical_test'
-  var bloomClient = bloom.createClient()
+exports.encodedKeys = function (test) {
+  var filterName = 'encoded_keys'
+  var bloomClient = bloom.createClient({keyEncoding: 'percent'})
+  var keys = ['two words', 'line\nbreak', 'set monkey']
 
-  bloomClient.list(null, function(error, data) {
-    test.equals(data.length, 0, 'We have a list, somehow')
+  bloomClient.bulkSafe(filterName, keys, function (error, data) {
+    test.deepEqual(data, {
+      'two words': true,
+      'line\nbreak': true,
+      'set monkey': true
+    })
   })
 
-  // Create a filter.
-  bloomClient.create(filterName, {}, function (error, data) {
-    test.equals(data, true, 'Failed to create filter')
+  bloomClient.multi(filterName, keys.concat('monkey'), function (error, data) {
+    test.deepEqual(data, {
+      'two words': true,
+      'line\nbreak': true,
+      'set monkey': true,
+      'monkey': false
+    })
+  })
+
+  bloomClient.check(filterName, 'two words', function (error, data) {
+    test.equals(data, true)
+    test.ok(bloomd.filters[filterName].keys['two%20words'], 'The key was not encoded')
+
+    bloomClient.drop(filterName, function () {
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that unsafe keys fail without being sent, even from a later batch, and that
+ * later commands are unaffected.
+ */
+exports.rejectedKeys = function (test) {
+  var filterName = 'rejected_keys'
+  var bloomClient = bloom.createClient({keyEncoding: 'reject', batchSize: 2})
+
+  bloomClient.setSafe(filterName, 'two words', function (error, data) {
+    test.ok(/cannot accept/.test(error.message), 'The key should have been rejected')
+    test.ok(error instanceof bloom.ValidationError)
+    test.equals(error.code, 'INVALID_ARGUMENT')
+    test.deepEqual(error.command, ['set', filterName, 'two words'])
+  })
+
+  bloomClient.bulk(filterName, ['a', ''], function (error, data) {
+    test.ok(error instanceof bloom.ValidationError, 'Empty keys should be rejected')
+    test.equals(error.message, 'Keys may not be empty')
+  })
+
+  bloomClient.bulk(filterName, ['a', 'b', 'c', 'two words'], function (error, data) {
+    test.ok(error instanceof bloom.ValidationError, 'The first batch should not have been sent')
+  })
+
+  bloomClient.setSafe(filterName, 'monkey', function (error, data) {
+    test.equals(data, true)
+
+    // Set, Create, Set
+    test.equals(bloomClient.commandsSent, 3)
+    bloomClient.drop(filterName, function () {
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that large bulk and multi calls are split into batches, with their results
+ * merged and the callback called once.
+ */
+exports.batchedBulkAndMulti = function (test) {
+  var filterName = 'batched_bulk_and_multi'
+  var bloomClient = bloom.createClient({batchSize: 2})
+  var calls = 0
+
+  bloomClient.bulkSafe(filterName, ['a', 'b', 'c', 'd', 'e'], function (error, data) {
+    calls++
+    test.deepEqual(data, {a: true, b: true, c: true, d: true, e: true})
+  })
+
+  bloomClient.multiCheck(filterName, ['a', 'b', 'c', 'd', 'e', 'f'], function (error, data) {
+    calls++
+    test.deepEqual(data, {a: true, b: true, c: true, d: true, e: true, f: false})
+
+    // Bulk x 3, Create, Bulk x 3, Multi x 3
+    test.equals(bloomClient.commandsSent, 10)
+    test.equals(calls, 2, 'Callbacks should be called once per call')
+
+    bloomClient.drop(filterName, function () {
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that batches are only sent as the stream accepts them, ahead of commands
+ * made while the rest wait.
+ */
+exports.batchesWaitForDrain = function (test) {
+  var filterName = 'batches_wait_for_drain'
+  var bloomClient = bloom.createClient({batchSize: 1000})
+  var padding = new Array(100).join('x')
+  var keys = []
+  for (var i = 0; i < 4000; i++) {
+    // Each batch is larger than the stream's buffer.
+    keys.push(padding + i)
+  }
+
+  bloomClient.create(filterName, {})
+  bloomClient.info(filterName, function () {
+    var sent = bloomClient.commandsSent
+
+    // Hold writes in the stream's buffer, as a slow connection would.
+    bloomClient.stream.cork()
+    bloomClient.bulk(filterName, keys, function (error, data) {
+      test.equals(error, null)
+      test.equals(Object.keys(data).length, 4000)
+    })
+    test.equals(bloomClient.commandsSent, sent + 1, 'Only the first batch should be written until the stream drains')
+    bloomClient.stream.uncork()
+
+    bloomClient.check(filterName, keys[3999], function (error, data) {
+      test.equals(data, true, 'The check should follow the last batch')
+      test.equals(bloomClient.commandsSent, sent + 5)
+
+      bloomClient.drop(filterName, function () {
+        bloomClient.dispose()
+        test.done()
+      })
+    })
+  })
+}
+
+/**
+ * Tests that a failed batch reports which batch and keys failed.
+ */
+exports.failedBatch = function (test) {
+  var filterName = 'failed_batch'
+  var bloomClient = bloom.createClient({batchSize: 2})
+
+  bloomClient.create(filterName, {}, function () {
+    bloomd.failNext(1, 1)
+
+    bloomClient.bulk(filterName, ['a', 'b', 'c', 'd', 'e'], function (error, data) {
+      test.equals(error.message, 'Bloomd Internal Error')
+      test.equals(error.batch, 1)
+      test.deepEqual(error.keys, ['c', 'd'])
+      test.deepEqual(error.command, ['bulk', filterName, 'c', 'd'])
+      test.equals(data, null)
+
+      bloomClient.multi(filterName, ['a', 'c', 'e'], function (error, data) {
+        test.deepEqual(data, {a: true, c: false, e: true}, 'Other batches should have been set')
+
+        bloomClient.drop(filterName, function () {
+          bloomClient.dispose()
+          test.done()
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Tests that keys written to a set stream are set in batches, and that the
+ * totals of new and existing keys are reported.
+ */
+exports.setStream = function (test) {
+  var filterName = 'set_stream'
+  var bloomClient = bloom.createClient()
+  var setStream = bloomClient.createSetStream(filterName, {
+    batchSize: 100,
+    safe: true,
+    createOptions: {capacity: 20000}
+  })
+  var totals = null
+
+  setStream.on('totals', function (data) {
+    totals = data
+  })
+
+  setStream.on('finish', function () {
+    test.deepEqual(totals, {added: 250, present: 50})
+    test.equals(setStream.added, 250)
+    test.equals(setStream.present, 50)
+    test.equals(bloomd.filters[filterName].size, 250)
+    test.equals(bloomd.filters[filterName].capacity, 20000, 'Create options were not used')
+
+    // Bulk, Create, Bulk, Bulk x 2
+    test.equals(bloomClient.commandsSent, 5)
+
+    bloomClient.drop(filterName, function () {
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+
+  // Each of the first 50 keys is written twice.
+  for (var i = 0; i < 300; i++) {
+    setStream.write('key_' + (i < 100 ? Math.floor(i / 2) : i - 50))
+  }
+  setStream.end()
+}
+
+/**
+ * Tests that a failed batch fails the set stream.
+ */
+exports.setStreamError = function (test) {
+  var bloomClient = bloom.createClient()
+  var setStream = bloomClient.createSetStream('set_stream_non_existent', {batchSize: 2})
+
+  setStream.on('error', function (error) {
+    test.equals(error.message, 'Filter does not exist')
+    bloomClient.dispose()
+    test.done()
+  })
+
+  setStream.write('monkey')
+  setStream.write('magic')
+  setStream.end('muppet')
+}
+
+/**
+ * Tests that a check stream emits a record for every key, in the order written,
+ * while only sending a limited number of batches ahead of a slow reader.
+ */
+exports.checkStream = function (test) {
+  var filterName = 'check_stream'
+  var bloomClient = bloom.createClient()
+
+  bloomClient.bulkSafe(filterName, ['key_1', 'key_3', 'key_5'], function (error, data) {
+    var checkStream = bloomClient.createCheckStream(filterName, {
+      batchSize: 2,
+      maxPendingBatches: 1,
+      highWaterMark: 1
+    })
+    var records = []
+    var sentBeforeReading = 0
+
+    for (var i = 0; i < 7; i++) {
+      checkStream.write('key_' + i)
+    }
+    checkStream.end('key_1')
+
+    setTimeout(function () {
+      sentBeforeReading = bloomClient.commandsSent
+
+      checkStream.on('data', function (record) {
+        records.push(record)
+      })
+
+      checkStream.on('end', function () {
+        test.deepEqual(records, [
+          {key: 'key_0', present: false},
+          {key: 'key_1', present: true},
+          {key: 'key_2', present: false},
+          {key: 'key_3', present: true},
+          {key: 'key_4', present: false},
+          {key: 'key_5', present: true},
+          {key: 'key_6', present: false},
+          {key: 'key_1', present: true}
+        ])
+
+        // Bulk, Create, Bulk, then Multi x 4, not all of which were sent before reading started.
+        test.equals(bloomClient.commandsSent, 7)
+        test.ok(sentBeforeReading < 7, 'Batches were sent without waiting for the reader')
+
+        bloomClient.drop(filterName, function () {
+          bloomClient.dispose()
+          test.done()
+        })
+      })
+    }, 50)
+  })
+}
+
+/**
+ * Tests that a dedup stream passes on only records with new keys, in order.
+ */
+exports.dedupStream = function (test) {
+  var filterName = 'dedup_stream'
+  var bloomClient = bloom.createClient()
+
+  bloomClient.setSafe(filterName, 'id_1', function (error, data) {
+    var dedupStream = bloomClient.createDedupStream(filterName, {
+      batchSize: 3,
+      key: function (record) {
+        return record.id
+      }
+    })
+    var records = []
+
+    dedupStream.on('data', function (record) {
+      records.push(record)
+    })
+
+    dedupStream.on('end', function () {
+      test.deepEqual(records, [
+        {id: 'id_0', n: 0},
+        {id: 'id_2', n: 3},
+        {id: 'id_3', n: 4}
+      ])
+      test.equals(dedupStream.passed, 3)
+      test.equals(dedupStream.dropped, 4)
+
+      bloomClient.multi(filterName, ['id_0', 'id_2', 'id_3'], function (error, data) {
+        test.deepEqual(data, {id_0: true, id_2: true, id_3: true})
+        bloomClient.drop(filterName, function () {
+          bloomClient.dispose()
+          test.done()
+        })
+      })
+    })
+
+    ;['id_0', 'id_1', 'id_0', 'id_2', 'id_3', 'id_3', 'id_2'].forEach(function (id, n) {
+      dedupStream.write({id: id, n: n})
+    })
+    dedupStream.end()
+  })
+}
+
+/**
+ * Tests that positive results are cached, and that the cache is invalidated by clearing the filter.
+ */
+exports.cachedChecks = function (test) {
+  var filterName = 'cached_checks'
+  var bloomClient = bloom.createClient({cacheSize: 100})
+
+  bloomClient.bulkSafe(filterName, ['set_1', 'set_2']).then(function (data) {
+    return bloomClient.check(filterName, 'unset')
+  }).then(function (data) {
+    test.equals(data, false)
+    var sent = bloomClient.commandsSent
+
+    return Promise.all([
+      bloomClient.check(filterName, 'set_1'),
+      bloomClient.multi(filterName, ['set_2', 'set_1'])
+    ]).then(function (results) {
+      test.equals(results[0], true)
+      test.deepEqual(results[1], {set_2: true, set_1: true})
+      test.equals(bloomClient.commandsSent, sent, 'Cached keys should not be checked with bloomd')
+      return bloomClient.multi(filterName, ['unset', 'set_1'])
+    }).then(function (data) {
+      test.deepEqual(data, {unset: false, set_1: true})
+      test.equals(bloomClient.commandsSent, sent + 1)
+      test.deepEqual(bloomClient.getCacheStats(), {hits: 4, misses: 2, size: 2})
+    })
+  }).then(function () {
+    return bloomClient.close(filterName)
+  }).then(function () {
+    test.equals(bloomClient.getCacheStats().size, 0)
+    return bloomClient.clear(filterName)
+  }).then(function () {
+    return bloomClient.checkSafe(filterName, 'set_1')
+  }).then(function (data) {
+    test.equals(data, false, 'Clearing the filter should invalidate its cached keys')
+    return bloomClient.drop(filterName)
+  }).then(function () {
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that a 'command' event describes each command, and that stats are aggregated.
+ */
+exports.commandEvents = function (test) {
+  var filterName = 'command_events'
+  var bloomClient = bloom.createClient({batchSize: 2})
+  var events = []
+
+  bloomClient.on('command', function (event) {
+    events.push(event)
+  })
+
+  bloomClient.create(filterName, {}).then(function () {
+    return bloomClient.bulk(filterName, ['a', 'b', 'c'])
+  }).then(function () {
+    return bloomClient.check('command_events_missing', 'a').catch(function (error) {
+      return bloomClient.set(filterName, 'd')
+    })
+  }).then(function () {
+    test.deepEqual(events.map(function (event) {
+      return [event.name, event.filterName, event.keys, event.outcome]
+    }), [
+      ['create', filterName, 0, 'success'],
+      ['bulk', filterName, 3, 'success'],
+      ['check', 'command_events_missing', 1, 'error'],
+      ['set', filterName, 1, 'success']
+    ])
+    events.forEach(function (event) {
+      test.ok(event.queueTime >= 0, 'Queue time should be measured')
+      test.ok(event.roundTrip >= 0, 'Round trip time should be measured')
+    })
+    test.equals(events[2].error.message, 'Filter does not exist')
+
+    var stats = bloomClient.getStats()
+    // The bulk was split into two batches.
+    test.equals(stats.commandsSent, 5)
+    test.deepEqual(stats.queues, {sent: 0, offline: 0, filter: 0})
+    test.equals(stats.commands.bulk.count, 1)
+    test.equals(stats.commands.check.errors, 1)
+    test.deepEqual(stats.commands.check.outcomes, {error: 1})
+    test.ok(stats.commands.bulk.latency.p99 >= 0, 'Latency percentiles should be calculated')
+
+    bloomClient.drop(filterName, function () {
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that a logger receives messages with structured fields.
+ */
+exports.loggerReceivesFields = function (test) {
+  var entries = []
+  var logger = {}
+  ;['debug', 'info', 'warn', 'error'].forEach(function (level) {
+    logger[level] = function (message, fields) {
+      entries.push({level: level, message: message, fields: fields})
+    }
+  })
+
+  test.throws(function () {
+    loggers.getLogger({logger: {info: function () {}}})
+  }, /Logger has no debug method/)
+
+  var bloomClient = bloom.createClient({logger: logger})
+  bloomClient.check('logged_filter', 'key', function () {
+    var connected = entries.filter(function (entry) {
+      return entry.message === 'Connected'
+    })[0]
+    test.equals(connected.level, 'info')
+    test.equals(connected.fields.host, '127.0.0.1')
+    test.equals(connected.fields.port, 8673)
+
+    var sent = entries.filter(function (entry) {
+      return entry.message === 'Sent'
+    })[0]
+    test.equals(sent.level, 'debug')
+    test.equals(sent.fields.command, 'check')
+    test.equals(sent.fields.filter, 'logged_filter')
+
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that a filter handle runs commands on its filter, creating it when safe, and counts them.
+ */
+exports.filterHandles = function (test) {
+  var bloomClient = bloom.createClient()
+  var filter = bloomClient.filter('filter_handle', {capacity: 20000}, {safe: true})
+
+  filter.bulk(['a', 'b']).then(function (data) {
+    test.deepEqual(data, {a: true, b: true})
+    test.equals(bloomd.filters.filter_handle.capacity, 20000, 'Create options were not used')
+    return filter.set('a')
+  }).then(function (data) {
+    test.equals(data, false)
+    return filter.multi(['a', 'c'])
+  }).then(function (data) {
+    test.deepEqual(data, {a: true, c: false})
+    return filter.info()
+  }).then(function (data) {
+    test.equals(data.name, 'filter_handle')
+    test.equals(data.size, 2)
+
+    var unsafe = bloomClient.filter('filter_handle_missing')
+    return unsafe.check('a').catch(function (error) {
+      test.ok(error instanceof bloom.FilterNotFoundError, 'An unsafe handle should not create its filter')
+      test.deepEqual(unsafe.counters, {commands: 1, errors: 1, keysSet: 0, keysAdded: 0, keysChecked: 0, keysFound: 0})
+      return unsafe.ensure()
+    }).then(function () {
+      return unsafe.drop()
+    })
+  }).then(function () {
+    test.deepEqual(filter.counters, {commands: 4, errors: 0, keysSet: 3, keysAdded: 2, keysChecked: 2, keysFound: 1})
+    return filter.drop()
+  }).then(function (data) {
+    test.equals(data, true)
+    test.ok(!bloomd.filters.filter_handle, 'The filter was not dropped')
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that a rotating filter sets keys in the current window, finds them in any
+ * recent window, and drops windows once they age out.
+ */
+exports.rotatingFilter = function (test) {
+  var bloomClient = bloom.createClient()
+  var time = Date.UTC(2026, 9, 19)
+  var day = 24 * 60 * 60 * 1000
+  var events = bloomClient.rotatingFilter('rotating', {
+    windowCount: 3,
+    createOptions: {capacity: 20000},
+    rotationInterval: 0,
+    now: function () {
+      return time
+    }
+  })
+
+  test.deepEqual(events.windowNames(), ['rotating_2026_10_19', 'rotating_2026_10_18', 'rotating_2026_10_17'])
+
+  events.set('first').then(function (data) {
+    test.equals(data, true)
+    test.equals(bloomd.filters.rotating_2026_10_19.capacity, 20000, 'Create options were not used')
+
+    time += day
+    return events.bulk(['second'])
+  }).then(function () {
+    return events.multi(['first', 'second', 'third'])
+  }).then(function (data) {
+    test.deepEqual(data, {first: true, second: true, third: false})
+
+    // The first key's window is the oldest which is still checked.
+    time += day
+    return events.check('first')
+  }).then(function (data) {
+    test.equals(data, true)
+    time += day
+    return events.check('first')
+  }).then(function (data) {
+    test.equals(data, false, 'The first window should have aged out')
+    return bloomClient.create('rotating_other', {})
+  }).then(function () {
+    return events.rotate()
+  }).then(function (dropped) {
+    test.deepEqual(dropped, ['rotating_2026_10_19'])
+    test.ok(bloomd.filters.rotating_2026_10_20, 'Windows still checked should not be dropped')
+    test.ok(bloomd.filters.rotating_other, 'Filters which are not windows should not be dropped')
+
+    var hourly = bloomClient.rotatingFilter('hourly', {windowSize: 60 * 60 * 1000, rotationInterval: 0, now: function () {
+      return Date.UTC(2026, 9, 19, 13, 45)
+    }})
+    test.equals(hourly.windowNames()[0], 'hourly_2026_10_19_13_00_00')
+
+    return Promise.all(['rotating_2026_10_20', 'rotating_other'].map(function (filterName) {
+      return bloomClient.drop(filterName)
+    }))
+  }).then(function () {
+    events.dispose()
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that a scaling filter finds its generations by listing, sets keys in the
+ * newest, grows once it is full, and checks every generation.
+ */
+exports.scalingFilter = function (test) {
+  var bloomClient = bloom.createClient()
+  var keys = []
+  for (var i = 0; i < 2000; i++) {
+    keys.push('key' + i)
+  }
+  var scaling
+
+  Promise.all([
+    bloomClient.create('scaling', {capacity: 10000}),
+    bloomClient.create('scaling.g2', {capacity: 20000}),
+    bloomClient.create('scaling.g2x', {}),
+    bloomClient.create('scalingother', {})
+  ]).then(function () {
+    scaling = bloomClient.scalingFilter('scaling', {
+      createOptions: {capacity: 10000, prob: 0.01},
+      threshold: 0.1,
+      growth: 2,
+      tightening: 0.5,
+      checkInterval: 0
+    })
+    return scaling.set('first')
+  }).then(function (data) {
+    test.equals(data, true)
+    test.deepEqual(scaling.generationNames(), ['scaling', 'scaling.g2'], 'Generations should be found by listing')
+    test.equals(bloomd.filters['scaling.g2'].size, 1, 'Keys should be set in the newest generation')
+    return scaling.grow()
+  }).then(function (generationName) {
+    test.equals(generationName, null, 'The newest generation is not full')
+    return scaling.bulk(keys)
+  }).then(function () {
+    return scaling.grow()
+  }).then(function (generationName) {
+    test.equals(generationName, 'scaling.g3')
+    test.equals(bloomd.filters['scaling.g3'].capacity, 40000, 'Capacity should grow with each generation')
+    test.equals(bloomd.filters['scaling.g3'].probability, 0.0025, 'Probability should tighten with each generation')
+    return scaling.set('second')
+  }).then(function () {
+    test.equals(bloomd.filters['scaling.g3'].size, 1)
+    return scaling.multi(['first', 'key0', 'second', 'third'])
+  }).then(function (data) {
+    test.deepEqual(data, {first: true, key0: true, second: true, third: false})
+
+    // Another process adds a generation.
+    return bloomClient.create('scaling.g4', {capacity: 80000})
+  }).then(function () {
+    return bloomClient.set('scaling.g4', 'fourth')
+  }).then(function () {
+    return scaling.grow()
+  }).then(function (generationName) {
+    test.equals(generationName, null)
+    test.deepEqual(scaling.generationNames(), ['scaling', 'scaling.g2', 'scaling.g3', 'scaling.g4'], 'Growing should list the generations again')
+    return scaling.check('fourth')
+  }).then(function (data) {
+    test.equals(data, true, 'Generations added by other processes should be checked')
+    return Promise.all(['scaling', 'scaling.g2', 'scaling.g3', 'scaling.g4', 'scaling.g2x', 'scalingother'].map(function (filterName) {
+      return bloomClient.drop(filterName)
+    }))
+  }).then(function () {
+    return scaling.check('first')
+  }).then(function (data) {
+    test.equals(data, false, 'Generations without a filter hold no keys')
+    scaling.dispose()
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that a scaling filter emits growthError if its generations can't be listed,
+ * and that commands list them again. Nothing listens on the port it uses.
+ */
+exports.scalingFilterListingFails = function (test) {
+  var bloomClient = bloom.createClient({port: 8679, maxConnectionAttempts: 1})
+  var scaling = bloomClient.scalingFilter('scaling_unlisted', {checkInterval: 0})
+
+  scaling.on('growthError', function (error) {
+    test.ok(error instanceof bloom.UnavailableError)
+    test.equals(scaling.generations, null, 'The generations should not be known')
+
+    scaling.check('monkey', function (error, data) {
+      test.ok(error instanceof bloom.UnavailableError, 'The check should have listed the generations again')
+      scaling.dispose()
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that an empty group of filters holds no keys, without sending anything.
+ */
+exports.emptyFilterGroup = function (test) {
+  var bloomClient = bloom.createClient()
+
+  filterGroup.check(bloomClient, [], 'monkey', function (error, data) {
+    test.equals(error, null)
+    test.equals(data, false)
+
+    filterGroup.multi(bloomClient, [], ['monkey', 'magic'], function (error, data) {
+      test.equals(error, null)
+      test.deepEqual(data, {monkey: false, magic: false})
+      test.equals(bloomClient.commandsSent, 0)
+      bloomClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that a namespace prefixes every filter name sent, and is removed from the
+ * names reported back, so that clients in different namespaces don't share filters.
+ */
+exports.namespaces = function (test) {
+  var appClient = bloom.createClient({namespace: 'app1.', batchSize: 2})
+  var otherClient = bloom.createClient({namespace: 'app2.'})
+  var bloomClient = bloom.createClient()
+
+  Promise.all([
+    appClient.create('shared', {capacity: 20000}),
+    otherClient.create('shared', {})
+  ]).then(function () {
+    test.ok(bloomd.filters['app1.shared'], 'The namespace should prefix created filters')
+    test.equals(bloomd.filters['app1.shared'].capacity, 20000)
+    test.ok(!bloomd.filters.shared)
+    return Promise.all([
+      appClient.set('shared', 'a'),
+      appClient.bulk('shared', ['b', 'c', 'd']),
+      appClient.setSafe('safe', 'e')
+    ])
+  }).then(function () {
+    test.equals(bloomd.filters['app1.shared'].size, 4)
+    test.ok(bloomd.filters['app1.safe'], 'Safe commands should create filters in the namespace')
+    return Promise.all([
+      appClient.multi('shared', ['a', 'd', 'z']),
+      otherClient.check('shared', 'a'),
+      appClient.info('shared'),
+      appClient.list(),
+      appClient.list('sa'),
+      bloomClient.list('app')
+    ])
+  }).then(function (results) {
+    test.deepEqual(results[0], {a: true, d: true, z: false})
+    test.equals(results[1], false, 'Namespaces should not share filters')
+    test.equals(results[2].name, 'shared', 'Info should report the name without the namespace')
+    test.equals(results[2].size, 4)
+    test.deepEqual(results[3].map(function (filter) {
+      return filter.name
+    }).sort(), ['safe', 'shared'], 'List should only return filters in the namespace')
+    test.deepEqual(results[4].map(function (filter) {
+      return filter.name
+    }), ['safe'])
+    test.equals(results[5].length, 3, 'Clients without a namespace should see every filter')
+    return Promise.all([
+      appClient.flush('shared'),
+      appClient.close('safe'),
+      appClient.clear('safe')
+    ])
+  }).then(function (results) {
+    test.deepEqual(results, [true, true, true])
+    return Promise.all([appClient.drop('shared'), appClient.drop('safe'), otherClient.drop('shared')])
+  }).then(function () {
+    test.ok(!bloomd.filters['app1.shared'] && !bloomd.filters['app2.shared'] && !bloomd.filters['app1.safe'])
+    appClient.dispose()
+    otherClient.dispose()
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Test insertion and subsequent retrieval of 235k items, into a filter initially
+ * sized for 20k, forcing multiple resizes.  We chain the multi on the callback of
+ * the bulk in order to get accurate timings.
+ */
+exports.bulkPerformance = function (test) {
+  var filterName = 'bulk_performance'
+  var bloomClient = bloom.createClient()
+
+  // Read in a dictionary.
+  fs.readFile('./test/words.txt', 'utf8', function (error, data) {
+
+    // Create a filter.
+    bloomClient.create(filterName, {
+      prob: 0.0001,
+      capacity: 20000
+    })
+
+	// The last line will be blank.
+    var lines = data.split('\n')
+    lines.pop()
+
+    var bulkExpected = {}
+    var multiExpected = {}
+
+    for (var i = 0, l = lines.length; i < l; i++) {
+      var line = lines[i]
+      bulkExpected[line] = true
+      multiExpected[line] = true
+    }
+
+    // The mock server stores keys exactly, so unlike bloomd, there are
+    // no collisions at this probability.
+
+    // Insert lots of data.
+    var bulkStart = process.hrtime()
+    bloomClient.bulk(filterName, lines, function (error, data) {
+      var elapsed = bloom.timer(bulkStart, 'Inserted ' + lines.length + ' items')
+
+      // Totally arbitrary, but should be plenty of room on even a moderate laptop.
+      test.ok(elapsed < 1000, 'Bulk set considered too slow')
+
+      test.deepEqual(bulkExpected, data)
+
+      var multiStart = process.hrtime()
+      bloomClient.multi(filterName, lines, function (error, data) {
+        var elapsed = bloom.timer(multiStart, 'Retrieved ' + lines.length + ' items')
+
+        // Totally arbitrary, but should be plenty of room on even a moderate laptop.
+        test.ok(elapsed < 1000, 'Multi check considered too slow')
+        test.deepEqual(multiExpected, data)
+      })
+
+      bloomClient.drop(filterName, function() {
+        bloomClient.dispose()
+        test.done()
+      })
+    })
+  })
+}
+
+/**
+ * Test repeated calls to info, to force data buffering that will
+ * result in incomplete lists, and give the stream transformation code a workout.
+ */
+exports.consecutiveInfo = function (test) {
+  var filterName = 'consecutive_info'
+  var bloomClient = bloom.createClient()
+
+  // Create a filter.
+  bloomClient.create(filterName, {
+    prob: 0.01,
+    capacity: 20000
+  })
+
+  var iterations = 1000
+  var responseCount = 0
+  function callback(error, data) {
+    test.equals(data.name, filterName, 'Did not get back the same thing we put it')
+    responseCount++
+  }
+
+  for (var i = 0; i < iterations; i++) {
+    bloomClient.info(filterName, callback)
+  }
+
+  bloomClient.drop(filterName, function() {
+    bloomClient.dispose()
+    test.equals(iterations, responseCount, 'Did not iterate the correct number of times')
+    test.done()
+  })
+}
+
+/**
+ * Perform the canonical steps listed in the bloomd readme
+ *
+ * https://github.com/armon/bloomd/blob/master/README.md
+ */
+exports.canonicalTest = function (test) {
+  var filterName = 'canonical_test'
+  var bloomClient = bloom.createClient()
+
+  bloomClient.list(null, function(error, data) {
+    test.equals(data.length, 0, 'We have a list, somehow')
+  })
+
+  // Create a filter.
+  bloomClient.create(filterName, {}, function (error, data) {
+    test.equals(data, true, 'Failed to create filter')
   })
 
   bloomClient.check(filterName, 'zipzab', function (error, data) {
@@ -495,6 +1537,23 @@ exports.canonicalTest = function (test) {
   bloomClient.list(null, function(error, data) {
     test.equals(data.length, 1, 'We had a list, somehow.')
     test.equals(data[0].name, filterName)
+    test.equals(data[0].size, 3)
+    test.equals(data[0].probability, 0.0001)
+    test.equals(typeof data[0].storage, 'number')
+  })
+
+  bloomClient.info(filterName, function (error, data) {
+    test.equals(data.capacity, 100000)
+    test.equals(data.size, 3)
+    test.equals(data.checks, 8)
+    test.equals(data.checkHits, 5)
+    test.equals(data.sets, 4)
+    test.equals(data.setHits, 3)
+    test.equals(data.inMemory, false)
+    test.equals(data.fillRatio, 3 / 100000)
+    test.equals(data.checkHitRate, 5 / 8)
+    test.equals(data.setHitRate, 3 / 4)
+    test.ok(data.estimatedFalsePositiveRate < data.probability, 'A nearly empty filter should rarely give false positives')
   })
 
   bloomClient.drop(filterName, function (error, data) {
@@ -509,10 +1568,321 @@ exports.canonicalTest = function (test) {
 
 }
 
+/**
+ * Tests that commands called without a callback return promises, including
+ * safe commands given create options in place of the callback.
+ */
+exports.promiseCommands = function (test) {
+  var filterName = 'promise_commands'
+  var bloomClient = bloom.createClient()
+
+  bloomClient.drop(filterName).then(function (data) {
+    test.equals(data, true, 'Failed to drop filter')
+    return bloomClient.setSafe(filterName, 'monkey', {capacity: 20000})
+  }).then(function (data) {
+    test.equals(data, true, 'monkey should have been set')
+    return bloomClient.multiSafe(filterName, ['monkey', 'magic'])
+  }).then(function (data) {
+    test.deepEqual(data, {
+      monkey: true,
+      magic: false
+    })
+    return bloomClient.info(filterName)
+  }).then(function (data) {
+    test.equals(data.capacity, 20000, 'Create options were not used')
+    return bloomClient.check('promise_commands_non_existent', 'monkey')
+  }).then(function () {
+    test.ok(false, 'Check on a non-existent filter should have been rejected')
+  }, function (error) {
+    test.equals(error.message, 'Filter does not exist')
+    test.deepEqual(error.command, ['check', 'promise_commands_non_existent', 'monkey'])
+    return bloomClient.drop(filterName)
+  }).then(function () {
+    bloomClient.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that errors from bloomd replies have classes and codes, and describe the failed command.
+ */
+exports.typedErrors = function (test) {
+  var bloomClient = bloom.createClient()
+
+  bloomClient.check('typed_errors_missing', 'monkey', function (error, data) {
+    test.ok(error instanceof bloom.FilterNotFoundError)
+    test.ok(error instanceof bloom.BloomdError)
+    test.ok(error instanceof Error)
+    test.equals(error.name, 'FilterNotFoundError')
+    test.equals(error.code, 'FILTER_NOT_FOUND')
+    test.equals(error.message, 'Filter does not exist')
+    test.deepEqual(error.command, ['check', 'typed_errors_missing', 'monkey'])
+    test.equals(error.filterName, 'typed_errors_missing')
+    test.equals(error.line, 'Filter does not exist')
+
+    bloomClient.setSafe('typed_errors_bad', 'monkey', function (error, data) {
+      test.ok(error instanceof bloom.ValidationError, 'Invalid create options should fail without being sent')
+      test.equals(error.code, 'INVALID_ARGUMENT')
+      test.equals(error.line, null)
+
+      bloomClient.clear('typed_errors_missing', function (error, data) {
+        test.ok(error instanceof bloom.FilterNotFoundError)
+        bloomClient.dispose()
+        test.done()
+      })
+    }, {capacity: 1})
+  })
+}
+
+/**
+ * Tests that invalid filter names and create options fail without being sent.
+ */
+exports.invalidArguments = function (test) {
+  var bloomClient = bloom.createClient()
+  var namespacedClient = bloom.createClient({namespace: 'invalid.'})
+  var failures = []
+
+  function expectInvalid(description, pattern) {
+    return function (error, data) {
+      test.ok(error instanceof bloom.ValidationError, description + ' should be invalid')
+      test.ok(pattern.test(error.message), description + ': ' + error.message)
+      test.strictEqual(data, null)
+      failures.push(description)
+    }
+  }
+
+  bloomClient.create('two words', {}, expectInvalid('A name with a space', /^Invalid filter name "two words"/))
+  bloomClient.create('valid_name', {probablity: 0.01}, expectInvalid('A misspelt option', /^Unknown create option "probablity"/))
+  bloomClient.create('valid_name', {prob: 1}, expectInvalid('A probability of 1', /^Invalid create option prob=1/))
+  bloomClient.create('valid_name', {capacity: '5000'}, expectInvalid('A small capacity', /at least 10000/))
+  bloomClient.create('valid_name', {in_memory: true}, expectInvalid('A boolean in_memory', /0 or 1/))
+  bloomClient.check('', 'monkey', expectInvalid('An empty name', /^Invalid filter name ""/))
+  bloomClient.multi('bad/name', ['monkey'], expectInvalid('A name with a slash', /^Invalid filter name/))
+  bloomClient.info(new Array(202).join('a'), expectInvalid('A long name', /^Invalid filter name/))
+  bloomClient.drop('bad name', expectInvalid('A dropped name with a space', /^Invalid filter name/))
+  bloomClient.bulkSafe('valid_name', ['monkey'], expectInvalid('Safe create options', /^Unknown create option "size"/), {size: 1})
+  namespacedClient.set(new Array(200).join('a'), 'monkey', expectInvalid('A name too long with the namespace', /including the namespace/))
+
+  test.equals(failures.length, 11, 'Invalid commands should fail synchronously')
+  test.equals(bloomClient.commandsSent, 0, 'Invalid commands should not be sent')
+  test.equals(namespacedClient.commandsSent, 0)
+
+  bloomClient.create('valid_name', {prob: '0.01', capacity: 20000, in_memory: 1}, function (error, data) {
+    test.equals(data, true, 'Valid options should be accepted')
+    bloomClient.drop('valid_name', function () {
+      bloomClient.dispose()
+      namespacedClient.dispose()
+      test.done()
+    })
+  })
+}
+
+/**
+ * Tests that the command whose internal error makes the client unavailable is
+ * failed, rather than lost.
+ */
+exports.commandReachingMaxErrorsFails = function (test) {
+  var filterName = 'max_errors_command'
+  var bloomClient = bloom.createClient({maxErrors: 1})
+  var events = []
+
+  bloomClient.create(filterName, {}).then(function () {
+    bloomClient.on('command', function (event) {
+      events.push(event)
+    })
+    bloomd.failNext(1)
+    return bloomClient.check(filterName, 'monkey')
+  }).then(function () {
+    test.ok(false, 'The check should have failed')
+  }, function (error) {
+    test.ok(error instanceof bloom.BloomdInternalError)
+    test.equals(error.filterName, filterName)
+    test.equals(bloomClient.unavailable, true)
+    test.equals(events.length, 1)
+    test.equals(events[0].name, 'check')
+    test.equals(events[0].outcome, 'error')
+    test.equals(bloomClient.getStats().commands.check.errors, 1)
+
+    bloomClient.reconnect()
+    bloomClient.once('connected', function () {
+      bloomClient.drop(filterName, function () {
+        bloomClient.dispose()
+        test.done()
+      })
+    })
+  })
+}
+
+/**
+ * Tests that internal errors from bloomd are passed to the callback, and that
+ * the client becomes unavailable once maxErrors is reached.
+ */
+exports.internalErrorsMarkClientUnavailable = function (test) {
+  var filterName = 'internal_errors'
+  var bloomClient = bloom.createClient({maxErrors: 2})
+  var unavailable = false
+
+  bloomClient.on('unavailable', function () {
+    unavailable = true
+  })
+
+  bloomClient.create(filterName, {}, function (error, data) {
+    test.equals(data, true, 'Failed to create filter')
+    bloomd.failNext(2)
+
+    bloomClient.check(filterName, 'monkey', function (error, data) {
+      test.equals(error.message, 'Bloomd Internal Error')
+      test.ok(error instanceof bloom.BloomdInternalError)
+      test.equals(error.line, 'Internal Error')
+      test.equals(unavailable, false, 'The client became unavailable too soon')
+    })
+
+    bloomClient.check(filterName, 'monkey', function (error, data) {
+      test.ok(error instanceof bloom.BloomdInternalError, 'The command reaching maxErrors should fail')
+      test.equals(unavailable, true, 'The client should be unavailable')
+
+      bloomClient.drop(filterName, function (error, data) {
+        test.equals(error.message, 'Bloomd is unavailable')
+        test.ok(error instanceof bloom.UnavailableError)
+        test.equals(error.code, 'UNAVAILABLE')
+        bloomClient.dispose()
+        test.done()
+      })
+    })
+  })
+}
+
+/**
+ * Tests that the callback of the command reaching maxErrors can reconnect.
+ */
+exports.maxErrorsCallbackReconnects = function (test) {
+  var filterName = 'max_errors_reconnect'
+  var bloomClient = bloom.createClient({maxErrors: 1})
+
+  bloomClient.create(filterName, {}, function (error, data) {
+    bloomd.failNext(1)
+
+    bloomClient.check(filterName, 'monkey', function (error, data) {
+      test.ok(error instanceof bloom.BloomdInternalError)
+      test.equals(bloomClient.unavailable, true, 'The client should already be unavailable')
+
+      bloomClient.reconnect()
+      test.equals(bloomClient.unavailable, false, 'The client did not reconnect')
+      bloomClient.once('connected', function () {
+        bloomClient.drop(filterName, function (error, data) {
+          test.equals(data, true)
+          bloomClient.dispose()
+          test.done()
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Tests that a command which gets no response times out, failing the other
+ * commands awaiting responses, and that the client reconnects afterwards.
+ */
+exports.stalledCommandsTimeOut = function (test) {
+  var filterName = 'stalled_commands'
+  var bloomClient = bloom.createClient({commandTimeout: 100})
+
+  bloomClient.create(filterName, {}, function (error, data) {
+    test.equals(data, true, 'Failed to create filter')
+    bloomd.stall()
+
+    bloomClient.check(filterName, 'monkey', function (error, data) {
+      test.equals(error.message, 'Bloomd command timed out')
+      test.equals(error.code, 'TIMEOUT')
+      test.deepEqual(error.command, ['check', filterName, 'monkey'])
+    })
+
+    bloomClient.withTimeout(0).set(filterName, 'monkey', function (error, data) {
+      test.equals(error.message, 'Bloomd connection reset after a command timed out')
+      test.ok(error instanceof bloom.TimeoutError)
+      bloomd.resume()
+
+      bloomClient.once('connected', function () {
+        bloomClient.set(filterName, 'monkey', function (error, data) {
+          test.equals(data, true, 'Responses were matched to the wrong commands')
+
+          bloomClient.drop(filterName, function () {
+            bloomClient.dispose()
+            test.done()
+          })
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Tests that reconnections after timeouts don't count towards maxConnectionAttempts,
+ * as each of them succeeds.
+ */
+exports.timeoutsDoNotExhaustConnectionAttempts = function (test) {
+  var filterName = 'repeated_timeouts'
+  var bloomClient = bloom.createClient({maxConnectionAttempts: 3, commandTimeout: 30})
+  var timeouts = 0
+
+  function timeOut() {
+    bloomd.stall()
+    bloomClient.check(filterName, 'monkey', function (error, data) {
+      test.ok(error instanceof bloom.TimeoutError)
+      bloomd.resume()
+
+      bloomClient.once('connected', function () {
+        if (++timeouts < 4) {
+          timeOut()
+          return
+        }
+
+        test.equals(bloomClient.unavailable, false, 'The client should still be available')
+        bloomClient.set(filterName, 'monkey', function (error, data) {
+          test.equals(data, true)
+          bloomClient.drop(filterName, function () {
+            bloomClient.dispose()
+            test.done()
+          })
+        })
+      })
+    })
+  }
+
+  bloomClient.create(filterName, {}, timeOut)
+}
+
+/**
+ * Tests that a timeout can be given for individual commands.
+ */
+exports.perCommandTimeout = function (test) {
+  var filterName = 'per_command_timeout'
+  var bloomClient = bloom.createClient()
+
+  bloomClient.create(filterName, {}, function (error, data) {
+    bloomd.stall()
+
+    var started = Date.now()
+    bloomClient.withTimeout(50).checkSafe(filterName, 'monkey').then(function () {
+      test.ok(false, 'The check should have timed out')
+    }, function (error) {
+      test.equals(error.message, 'Bloomd command timed out')
+      test.ok(Date.now() - started < 1000, 'The per command timeout was not used')
+      bloomd.resume()
+
+      bloomClient.drop(filterName, function () {
+        bloomClient.dispose()
+        test.done()
+      })
+    })
+  })
+}
+
 /**
  * Dummy test to kill the server and finish up.
  */
 exports.stopServer = function (test) {
-  _stopServer()
-  test.done()
+  _stopServer(function () {
+    test.done()
+  })
 }
@@ -0,0 +1,51 @@
+// Copyright 2013 The Obvious Corporation
+
+var CheckCache = require('../lib/checkCache').CheckCache
+
+/**
+ * Tests that the least recently used key is evicted when the cache is full.
+ */
+exports.evictsLeastRecentlyUsed = function (test) {
+  var cache = new CheckCache({size: 2})
+  cache.add('filter', 'a')
+  cache.add('filter', 'b')
+
+  // Using a makes b the least recently used.
+  test.ok(cache.has('filter', 'a'))
+  cache.add('filter', 'c')
+
+  test.ok(cache.has('filter', 'a'))
+  test.ok(!cache.has('filter', 'b'))
+  test.ok(cache.has('filter', 'c'))
+  test.deepEqual(cache.getStats(), {hits: 3, misses: 1, size: 2})
+  test.done()
+}
+
+/**
+ * Tests that keys are forgotten once their ttl has passed.
+ */
+exports.expiresKeys = function (test) {
+  var cache = new CheckCache({ttl: 20})
+  cache.add('filter', 'a')
+  test.ok(cache.has('filter', 'a'))
+
+  setTimeout(function () {
+    test.ok(!cache.has('filter', 'a'))
+    test.equals(cache.getStats().size, 0)
+    test.done()
+  }, 40)
+}
+
+/**
+ * Tests that invalidating a filter forgets only its keys.
+ */
+exports.invalidatesFilter = function (test) {
+  var cache = new CheckCache()
+  cache.add('first', 'a')
+  cache.add('second', 'a')
+  cache.invalidate('first')
+
+  test.ok(!cache.has('first', 'a'))
+  test.ok(cache.has('second', 'a'))
+  test.done()
+}
@@ -0,0 +1,233 @@
+// Copyright 2013 The Obvious Corporation
+
+var bloom = require('../index'),
+  cli = require('../lib/cli'),
+  childProcess = require('child_process'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  server = new bloom.MockBloomdServer(),
+  port = 8677
+
+/**
+ * Starts the mock bloomd server.
+ */
+exports.setUp = function (callback) {
+  server.reset()
+  server.listen(port, '127.0.0.1', callback)
+}
+
+/**
+ * Stops the mock bloomd server.
+ */
+exports.tearDown = function (callback) {
+  server.close(callback)
+}
+
+/**
+ * Runs the command line tool with arguments, calling back with its exit status and output.
+ */
+function _runTool(args, callback) {
+  var script = path.join(__dirname, '..', 'bin', 'bloomd-cli')
+  childProcess.execFile(process.execPath, [script, '-p', String(port)].concat(args), {timeout: 10000}, function (error, stdout, stderr) {
+    callback(error ? error.code : 0, stdout, stderr)
+  })
+}
+
+/**
+ * Tests that command line arguments are parsed, and bad ones refused.
+ */
+exports.parseArgs = function (test) {
+  var options = cli.parseArgs(['-h', 'bloomd.local', '--port', '9000', '-n', 'app.', '-c', 'check events key'])
+  test.equals(options.host, 'bloomd.local')
+  test.strictEqual(options.port, 9000)
+  test.equals(options.namespace, 'app.')
+  test.equals(options.command, 'check events key')
+  test.strictEqual(options.timeout, 5000)
+  test.equals(cli.parseArgs(['--help']).help, true)
+
+  test.throws(function () {
+    cli.parseArgs(['--verbose'])
+  }, /Unknown option: --verbose/)
+  test.throws(function () {
+    cli.parseArgs(['-c'])
+  }, /Missing value for -c/)
+  test.throws(function () {
+    cli.parseArgs(['-p', 'bloomd'])
+  }, /must be numbers/)
+  test.done()
+}
+
+/**
+ * Tests that lines are parsed into commands, with usage errors for bad ones.
+ */
+exports.parseLine = function (test) {
+  test.strictEqual(cli.parseLine('   '), null)
+  test.deepEqual(cli.parseLine('  MULTI events a  b '), {commandName: 'multi', args: ['events', 'a', 'b']})
+  test.deepEqual(cli.parseLine('create events capacity=20000 prob=0.01'), {
+    commandName: 'create',
+    args: ['events', {capacity: 20000, prob: 0.01}]
+  })
+
+  test.throws(function () {
+    cli.parseLine('get events key')
+  }, /Unknown command: get/)
+  test.throws(function () {
+    cli.parseLine('check events')
+  }, /Usage: check <filter> <key>/)
+  test.throws(function () {
+    cli.parseLine('create events capacity')
+  }, /key=value/)
+  test.done()
+}
+
+/**
+ * Tests that lines run commands on a client, with their results formatted as tables.
+ */
+exports.runsLines = function (test) {
+  var client = bloom.createClient({port: port})
+
+  cli.runLine(client, 'create cli_events capacity=20000', function (error, result) {
+    test.deepEqual(result, {commandName: 'create', data: true})
+
+    cli.runLine(client, 'bulk cli_events a b', function (error, result) {
+      test.equals(cli.formatResult(result.commandName, result.data), [
+        'key  value',
+        '---  -----',
+        'a    true',
+        'b    true'
+      ].join('\n'))
+
+      cli.runLine(client, 'list', function (error, result) {
+        test.equals(cli.formatResult(result.commandName, result.data), [
+          'name        probability  storage  capacity  size  fillRatio',
+          '----------  -----------  -------  --------  ----  ---------',
+          'cli_events       0.0001    47926     20000     2     0.0001'
+        ].join('\n'))
+
+        cli.runLine(client, 'info cli_events', function (error, result) {
+          var table = cli.formatResult(result.commandName, result.data)
+          test.ok(/^name\s+cli_events$/m.test(table), table)
+          test.ok(/^inMemory\s+false$/m.test(table), table)
+
+          cli.runLine(client, 'check cli_events c', function (error, result) {
+            test.equals(cli.formatResult(result.commandName, result.data), 'false')
+
+            cli.runLine(client, 'create bad/name', function (error, result) {
+              test.ok(error instanceof bloom.ValidationError)
+              test.strictEqual(result, null)
+
+              cli.runLine(client, 'list nothing', function (error, result) {
+                test.equals(cli.formatResult(result.commandName, result.data), '(no filters)')
+                client.dispose()
+                test.done()
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Tests the exit statuses of commands.
+ */
+exports.exitStatus = function (test) {
+  test.equals(cli.exitStatus('check', null, true), 0)
+  test.equals(cli.exitStatus('check', null, false), 1)
+  test.equals(cli.exitStatus('multi', null, {a: true, b: true}), 0)
+  test.equals(cli.exitStatus('multi', null, {a: true, b: false}), 1)
+  test.equals(cli.exitStatus('set', null, false), 0, 'Only checks report keys which are not found')
+  test.equals(cli.exitStatus('check', new Error('Filter does not exist'), null), 2)
+  test.done()
+}
+
+/**
+ * Tests that command and filter names are completed.
+ */
+exports.completion = function (test) {
+  var completer = cli.createCompleter(function () {
+    return ['events', 'errors', 'users']
+  })
+
+  test.deepEqual(completer('cl'), [['clear', 'close'], 'cl'])
+  test.deepEqual(completer('check e'), [['errors', 'events'], 'e'])
+  test.deepEqual(completer('check events e'), [[], 'e'], 'Keys are not completed')
+  test.deepEqual(completer('get e'), [[], 'e'])
+  test.done()
+}
+
+/**
+ * Tests that command mode prints JSON, and exits with the check's result.
+ */
+exports.commandMode = function (test) {
+  _runTool(['-c', 'set cli_command monkey'], function (status, stdout) {
+    test.equals(status, 2, 'Setting in a filter which does not exist should fail')
+
+    _runTool(['-c', 'create cli_command'], function (status, stdout) {
+      test.equals(status, 0)
+      test.equals(stdout, 'true\n')
+
+      _runTool(['-c', 'multi cli_command monkey'], function (status, stdout) {
+        test.equals(status, 1)
+        test.deepEqual(JSON.parse(stdout), {monkey: false})
+
+        _runTool(['-c', 'info cli_command'], function (status, stdout) {
+          test.equals(status, 0)
+          test.strictEqual(JSON.parse(stdout).capacity, 100000)
+
+          _runTool(['-c', 'check cli_command'], function (status, stdout, stderr) {
+            test.equals(status, 2)
+            test.deepEqual(JSON.parse(stderr), {error: 'Usage: check <filter> <key>', code: null})
+            test.done()
+          })
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Tests that the prompt reconnects once bloomd has become unavailable, rather than
+ * failing every later line.
+ */
+exports.promptReconnects = function (test) {
+  var script = path.join(__dirname, '..', 'bin', 'bloomd-cli')
+  // Keep the prompt's history out of the real home directory.
+  var home = fs.mkdtempSync(path.join(os.tmpdir(), 'bloomd-cli-'))
+  var output = ''
+  var restarted = false
+
+  server.close(function () {
+    var child = childProcess.execFile(process.execPath, [script, '-p', String(port), '-t', '200'], {
+      timeout: 10000,
+      env: {HOME: home}
+    }, function (error, stdout) {
+      test.equals(error, null)
+      test.ok(/Error: Bloomd is unavailable/.test(stdout), stdout)
+      test.ok(server.filters.cli_reconnect, 'The create should succeed once reconnected')
+
+      try {
+        fs.unlinkSync(path.join(home, '.bloomd_cli_history'))
+      } catch (err) {
+        // The history is only written when the prompt closes normally.
+      }
+      fs.rmdirSync(home)
+      test.done()
+    })
+
+    child.stdout.on('data', function (data) {
+      output += data
+      if (/Error: /.test(output) && !restarted) {
+        restarted = true
+        server.listen(port, '127.0.0.1', function () {
+          child.stdin.write('create cli_reconnect\n')
+        })
+      } else if (/true\nbloomd> $/.test(output)) {
+        child.stdin.end()
+      }
+    })
+    child.stdin.write('list\n')
+  })
+}
@@ -0,0 +1,69 @@
+// Copyright 2013 The Obvious Corporation
+
+var CommandStats = require('../lib/commandStats').CommandStats
+
+/**
+ * Returns a 'command' event for a check.
+ *
+ * @param {number} roundTrip
+ * @param {string} outcome
+ * @return {Object}
+ */
+function _event(roundTrip, outcome) {
+  return {
+    name: 'check',
+    filterName: 'filter',
+    keys: 1,
+    queueTime: (roundTrip === null) ? null : 0,
+    roundTrip: roundTrip,
+    outcome: outcome || 'success',
+    error: (outcome && outcome !== 'success') ? new Error(outcome) : null
+  }
+}
+
+/**
+ * Tests that counts, outcomes and latency percentiles are aggregated for each command.
+ */
+exports.aggregatesCommands = function (test) {
+  var stats = new CommandStats()
+  for (var i = 1; i <= 100; i++) {
+    stats.record(_event(i))
+  }
+  stats.record(_event(500, 'timeout'))
+  stats.record(_event(null, 'rejected'))
+
+  test.deepEqual(stats.getStats(), {
+    check: {
+      count: 102,
+      errors: 2,
+      outcomes: {success: 100, timeout: 1, rejected: 1},
+      latency: {p50: 51, p90: 91, p99: 100, max: 500}
+    }
+  })
+  test.done()
+}
+
+/**
+ * Tests that percentiles are calculated from only the most recent round trip times.
+ */
+exports.keepsRecentSamples = function (test) {
+  var stats = new CommandStats(10)
+  for (var i = 1; i <= 30; i++) {
+    stats.record(_event(i))
+  }
+
+  test.deepEqual(stats.getStats().check.latency, {p50: 25, p90: 29, p99: 30, max: 30})
+  test.equals(stats.getStats().check.count, 30)
+  test.done()
+}
+
+/**
+ * Tests that commands without samples have no latency.
+ */
+exports.emptyLatency = function (test) {
+  var stats = new CommandStats()
+  stats.record(_event(null, 'rejected'))
+
+  test.deepEqual(stats.getStats().check.latency, {p50: null, p90: null, p99: null, max: null})
+  test.done()
+}
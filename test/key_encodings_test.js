@@ -0,0 +1,43 @@
+// Copyright 2013 The Obvious Corporation
+
+var bloom = require('../index'),
+  keyEncodings = bloom.keyEncodings
+
+/**
+ * Tests that unsafe keys are rejected, and safe ones are unchanged.
+ */
+exports.reject = function (test) {
+  test.equals(keyEncodings.reject('monkey'), 'monkey')
+  test.equals(keyEncodings.reject(42), '42')
+  ;['two words', 'line\nbreak', 'carriage\rreturn', 'tab\tbed', ''].forEach(function (key) {
+    test.throws(function () {
+      keyEncodings.reject(key)
+    }, JSON.stringify(key) + ' should have been rejected')
+  })
+  test.done()
+}
+
+/**
+ * Tests that percent encoding escapes unsafe characters and percent signs only.
+ */
+exports.percent = function (test) {
+  test.equals(keyEncodings.percent('monkey'), 'monkey')
+  test.equals(keyEncodings.percent('two words\r\n'), 'two%20words%0D%0A')
+  test.equals(keyEncodings.percent('100%'), '100%25')
+
+  // Encoding is unambiguous.
+  test.notEqual(keyEncodings.percent('a%20b'), keyEncodings.percent('a b'))
+  test.done()
+}
+
+/**
+ * Tests that base64 and hash encodings never produce unsafe characters.
+ */
+exports.base64AndHash = function (test) {
+  ;['two words', 'line\nbreak', 'ünïcödé'].forEach(function (key) {
+    test.ok(/^[A-Za-z0-9+\/=]+$/.test(keyEncodings.base64(key)))
+    test.ok(/^[0-9a-f]{32}$/.test(keyEncodings.hash(key)))
+  })
+  test.equals(Buffer.from(keyEncodings.base64('two words'), 'base64').toString(), 'two words')
+  test.done()
+}
@@ -0,0 +1,214 @@
+// Copyright 2013 The Obvious Corporation
+
+var bloom = require('../index'),
+  loader = require('../lib/loader'),
+  childProcess = require('child_process'),
+  path = require('path'),
+  stream = require('stream'),
+  server = new bloom.MockBloomdServer(),
+  port = 8678
+
+/**
+ * Starts the mock bloomd server.
+ */
+exports.setUp = function (callback) {
+  server.reset()
+  server.listen(port, '127.0.0.1', callback)
+}
+
+/**
+ * Stops the mock bloomd server.
+ */
+exports.tearDown = function (callback) {
+  server.close(callback)
+}
+
+/**
+ * Returns a readable stream of the text.
+ */
+function _input(text) {
+  var input = new stream.PassThrough()
+  input.end(text)
+  return input
+}
+
+/**
+ * Parses text with a KeyParser, calling back with the keys and the parser.
+ */
+function _parseKeys(text, options, callback) {
+  var parser = new loader.KeyParser(options)
+  var keys = []
+  parser.on('data', function (key) {
+    keys.push(key)
+  })
+  var finished = false
+  parser.on('error', function (error) {
+    finished = true
+    callback(error, keys, parser)
+  })
+  parser.on('end', function () {
+    // Before Node 14, a parser which failed still ends.
+    if (!finished) {
+      callback(null, keys, parser)
+    }
+  })
+  // Split lines, and the characters of multi-byte text, across writes.
+  var buffer = Buffer.from(text)
+  parser.write(buffer.slice(0, 4))
+  parser.write(buffer.slice(4, 9))
+  parser.end(buffer.slice(9))
+}
+
+/**
+ * Tests that CSV lines are split into values, with quoting.
+ */
+exports.parseCsvLine = function (test) {
+  test.deepEqual(loader.parseCsvLine('a,b,,c'), ['a', 'b', '', 'c'])
+  test.deepEqual(loader.parseCsvLine('"a,b","say ""hi""",c'), ['a,b', 'say "hi"', 'c'])
+  test.done()
+}
+
+/**
+ * Tests that keys are read from lines, CSV and JSON.
+ */
+exports.parsesKeys = function (test) {
+  _parseKeys('first\r\nsecond\n\nthird', {}, function (error, keys, parser) {
+    test.deepEqual(keys, ['first', 'second', 'third'])
+    test.equals(parser.skipped, 0, 'Blank lines are not skipped keys')
+
+    _parseKeys('id,email\n1,"a@example.com"\n2,\n3,c@example.com\n', {format: 'csv', field: 'email'}, function (error, keys, parser) {
+      test.deepEqual(keys, ['a@example.com', 'c@example.com'])
+      test.equals(parser.skipped, 1)
+
+      _parseKeys('1,a\n2,b\n', {format: 'csv', field: '0'}, function (error, keys) {
+        test.deepEqual(keys, ['1', '2'], 'A column index means there is no header')
+
+        _parseKeys('{"user": {"id": 7}}\n{"user": {}}\nnot json\n{"user": {"id": "x"}}\n', {format: 'json', field: 'user.id'}, function (error, keys, parser) {
+          test.deepEqual(keys, ['7', 'x'])
+          test.equals(parser.skipped, 2)
+
+          _parseKeys('id,name\n1,a\n', {format: 'csv', field: 'email'}, function (error, keys) {
+            test.equals(error.message, 'No column named email')
+
+            test.throws(function () {
+              new loader.KeyParser({format: 'json'})
+            }, /needs a field/)
+            test.done()
+          })
+        })
+      })
+    })
+  })
+}
+
+/**
+ * Tests that characters split across buffers are decoded.
+ */
+exports.parsesSplitCharacters = function (test) {
+  _parseKeys('caf\u00e9\nna\u00efve\n\u2603', {}, function (error, keys) {
+    test.equals(error, null)
+    test.deepEqual(keys, ['caf\u00e9', 'na\u00efve', '\u2603'])
+    test.done()
+  })
+}
+
+/**
+ * Tests that keys from each input are set in the filter, counting new and existing keys.
+ */
+exports.loadsKeys = function (test) {
+  var client = bloom.createClient({port: port})
+  var progress = []
+
+  loader.load(client, 'loaded', [_input('a\nb\nc\n'), _input('c\nd\na')], {
+    batchSize: 2,
+    createOptions: {capacity: 20000},
+    progressInterval: 1,
+    onProgress: function (summary) {
+      progress.push(summary)
+    }
+  }, function (error, summary) {
+    test.equals(error, null)
+    test.equals(summary.keys, 6)
+    test.equals(summary.added, 4)
+    test.equals(summary.present, 2)
+    test.equals(summary.skipped, 0)
+    test.equals(typeof summary.rate, 'number')
+    test.equals(server.filters.loaded.capacity, 20000, 'The filter should be created with the create options')
+    test.equals(server.filters.loaded.size, 4)
+
+    progress.forEach(function (summary) {
+      test.ok(summary.keys <= 6)
+    })
+    client.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that a load fails if the client becomes unavailable.
+ */
+exports.loadFailsWhenUnavailable = function (test) {
+  var client = bloom.createClient({port: 8679, connectTimeout: 100})
+  var input = new stream.PassThrough()
+  input.write('a\nb\n')
+
+  loader.load(client, 'unavailable_load', [input], {batchSize: 1}, function (error, summary) {
+    test.ok(error instanceof bloom.UnavailableError)
+    test.equals(error.message, 'Bloomd became unavailable during the load')
+    test.equals(summary.keys, 0)
+    client.dispose()
+    test.done()
+  })
+}
+
+/**
+ * Tests that the command line tool loads stdin, and prints a summary.
+ */
+exports.commandLine = function (test) {
+  var script = path.join(__dirname, '..', 'bin', 'bloomd-load')
+  var child = childProcess.execFile(process.execPath, [script, '-p', String(port), '--progress', '0', '--capacity', '20000', 'command_line'], {timeout: 10000}, function (error, stdout) {
+    test.equals(error, null)
+    test.ok(/^Set 3 keys in command_line in [\d.]+s \(\d+ keys\/s\): 2 new, 1 already present, 0 skipped\n$/.test(stdout), stdout)
+    test.equals(server.filters.command_line.capacity, 20000)
+
+    childProcess.execFile(process.execPath, [script, '--format', 'xml', 'command_line'], {timeout: 10000}, function (error, stdout, stderr) {
+      test.equals(error.code, 2, 'An unknown format should fail the load')
+      test.ok(/Unknown format: xml/.test(stderr), stderr)
+
+      childProcess.execFile(process.execPath, [script], {timeout: 10000}, function (error, stdout, stderr) {
+        test.equals(error.code, 1)
+        test.ok(/^Missing filter name/.test(stderr), stderr)
+        test.done()
+      })
+    })
+  })
+  child.stdin.end('a\nb\na\n')
+}
+
+/**
+ * Tests that the command line tool rejects keys bloomd can't accept, unless
+ * another key encoding is chosen.
+ */
+exports.commandLineKeyEncoding = function (test) {
+  var script = path.join(__dirname, '..', 'bin', 'bloomd-load')
+  var child = childProcess.execFile(process.execPath, [script, '-p', String(port), '--progress', '0', 'spaced_keys'], {timeout: 10000}, function (error, stdout, stderr) {
+    test.equals(error.code, 2, 'A key with a space should fail the load')
+    test.ok(/Key contains characters bloomd cannot accept: "b c"/.test(stderr), stderr)
+    test.equals(server.filters.spaced_keys, undefined, 'Nothing should be sent')
+
+    var child = childProcess.execFile(process.execPath, [script, '-p', String(port), '--progress', '0', '--key-encoding', 'percent', 'spaced_keys'], {timeout: 10000}, function (error, stdout) {
+      test.equals(error, null)
+      test.ok(/^Set 2 keys in spaced_keys/.test(stdout), stdout)
+      test.equals(server.filters.spaced_keys.size, 2)
+      test.ok(server.filters.spaced_keys.keys['b%20c'], 'The key should be percent-encoded')
+
+      childProcess.execFile(process.execPath, [script, '--key-encoding', 'rot13', 'spaced_keys'], {timeout: 10000}, function (error, stdout, stderr) {
+        test.equals(error.code, 1)
+        test.ok(/^Unknown key encoding: rot13/.test(stderr), stderr)
+        test.done()
+      })
+    })
+    child.stdin.end('a\nb c\n')
+  })
+  child.stdin.end('a\nb c\n')
+}
@@ -0,0 +1,84 @@
+// Copyright 2013 The Obvious Corporation
+
+var ResponseParser = require('../lib/responseParser').ResponseParser
+
+/**
+ * Tests that filter information is converted to numbers, with storage in bytes.
+ */
+exports.parseInfo = function (test) {
+  var filter = ResponseParser.parseInfo([
+    'capacity 100000',
+    'checks 10',
+    'check_hits 4',
+    'check_misses 6',
+    'in_memory 1',
+    'page_ins 0',
+    'page_outs 0',
+    'probability 0.000100',
+    'sets 5',
+    'set_hits 4',
+    'set_misses 1',
+    'size 50000',
+    'storage 2.5MB'
+  ], 'info_filter')
+
+  test.equals(filter.name, 'info_filter')
+  test.strictEqual(filter.capacity, 100000)
+  test.strictEqual(filter.probability, 0.0001)
+  test.strictEqual(filter.inMemory, true)
+  test.strictEqual(filter.storage, 2621440)
+  test.equals(filter.fillRatio, 0.5)
+  test.equals(filter.checkHitRate, 0.4)
+  test.equals(filter.setHitRate, 0.8)
+
+  // Half full, the rate is well below the configured probability.
+  var hashes = Math.log(10000) / Math.LN2
+  var expected = Math.pow(1 - Math.pow(2, -0.5), hashes)
+  test.ok(Math.abs(filter.estimatedFalsePositiveRate - expected) < 1e-15)
+  test.ok(filter.estimatedFalsePositiveRate < 0.0001)
+  test.done()
+}
+
+/**
+ * Tests that a full filter's estimated false positive rate is its configured probability.
+ */
+exports.estimatedFalsePositiveRate = function (test) {
+  var filter = ResponseParser.parseFilterList(['full_filter 0.010000 1000 20000 20000'])[0]
+
+  test.ok(Math.abs(filter.estimatedFalsePositiveRate - 0.01) < 1e-12)
+  test.strictEqual(filter.storage, 1000)
+  test.strictEqual(filter.checkHitRate, null, 'A list does not describe checks')
+  test.done()
+}
+
+/**
+ * Tests that a namespace filters lists, and is stripped from filter names.
+ */
+exports.parseFilterListInNamespace = function (test) {
+  var filters = ResponseParser.parseFilterList([
+    'app.events 0.000100 300046 100000 25000',
+    'other 0.000100 300046 100000 0'
+  ], 'app.')
+
+  test.equals(filters.length, 1)
+  test.equals(filters[0].name, 'events')
+  test.strictEqual(filters[0].size, 25000)
+  test.done()
+}
+
+/**
+ * Tests that filters serialize with their derived statistics.
+ */
+exports.toJSON = function (test) {
+  var filter = ResponseParser.parseFilterList(['json_filter 0.000100 300046 100000 25000'])[0]
+  var json = JSON.parse(JSON.stringify(filter))
+
+  test.equals(json.name, 'json_filter')
+  test.strictEqual(json.capacity, 100000)
+  test.strictEqual(json.size, 25000)
+  test.strictEqual(json.fillRatio, 0.25)
+  test.strictEqual(json.checks, null)
+  test.strictEqual(json.setHitRate, null)
+  test.equals(typeof json.estimatedFalsePositiveRate, 'number')
+  test.done()
+}
@@ -0,0 +1,45 @@
+// Copyright 2013 The Obvious Corporation
+
+var retryStrategies = require('../index').retryStrategies
+
+/**
+ * Tests that the capped linear strategy adds the delay for each attempt, up to the maximum.
+ */
+exports.cappedLinear = function (test) {
+  var strategy = retryStrategies.cappedLinear({delay: 100, max: 250})
+  test.deepEqual([1, 2, 3, 4].map(function (attempt) {
+    return strategy(attempt, 0, null, 0)
+  }), [100, 200, 250, 250])
+
+  // Uncapped by default, matching the client's default behaviour.
+  test.equals(retryStrategies.cappedLinear()(100, 0, null, 0), 16000)
+  test.done()
+}
+
+/**
+ * Tests that the exponential strategy multiplies the delay, up to the maximum.
+ */
+exports.exponential = function (test) {
+  var strategy = retryStrategies.exponential({base: 50, factor: 3, max: 1000})
+  test.deepEqual([1, 2, 3, 4, 5].map(function (attempt) {
+    return strategy(attempt, 0, null, 0)
+  }), [50, 150, 450, 1000, 1000])
+  test.done()
+}
+
+/**
+ * Tests that the decorrelated jitter strategy stays between the base and
+ * three times the previous delay, up to the maximum.
+ */
+exports.decorrelatedJitter = function (test) {
+  var strategy = retryStrategies.decorrelatedJitter({base: 100, max: 2000})
+  var lastDelay = 0
+
+  for (var attempt = 1; attempt <= 50; attempt++) {
+    var delay = strategy(attempt, 0, null, lastDelay)
+    test.ok(delay >= 100, 'Delay was below the base')
+    test.ok(delay <= Math.min(2000, Math.max(100, (lastDelay || 100) * 3)), 'Delay was too large')
+    lastDelay = delay
+  }
+  test.done()
+}